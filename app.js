@@ -8,10 +8,12 @@ const cors = require("cors");
 const { NotFoundError } = require("./expressError");
 
 const { authenticateJWT } = require("./middleware/auth");
+const { handleErrors } = require("./middleware/errorHandler");
 const authRoutes = require("./routes/auth");
 const companiesRoutes = require("./routes/companies");
 const usersRoutes = require("./routes/users");
 const jobsRoutes = require("./routes/jobs")
+const searchRoutes = require("./routes/search");
 
 const morgan = require("morgan");
 
@@ -26,6 +28,7 @@ app.use("/auth", authRoutes);
 app.use("/companies", companiesRoutes);
 app.use("/users", usersRoutes);
 app.use("/jobs", jobsRoutes)
+app.use("/search", searchRoutes);
 
 
 /** Handle 404 errors -- this matches everything */
@@ -34,14 +37,6 @@ app.use(function (req, res, next) {
 });
 
 /** Generic error handler; anything unhandled goes here. */
-app.use(function (err, req, res, next) {
-  if (process.env.NODE_ENV !== "test") console.error(err.stack);
-  const status = err.status || 500;
-  const message = err.message;
-
-  return res.status(status).json({
-    error: { message, status },
-  });
-});
+app.use(handleErrors);
 
 module.exports = app;
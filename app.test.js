@@ -16,6 +16,29 @@ test("not found for site 404 (test stack print)", async function () {
   delete process.env.NODE_ENV;
 });
 
+test("error codes in the response", async function () {
+  const resp = await request(app).get("/no-such-path");
+  expect(resp.body).toEqual({
+    error: { message: "Not Found", status: 404, code: "NOT_FOUND" },
+  });
+});
+
+test("problem details for clients that ask for them", async function () {
+  const resp = await request(app)
+      .get("/no-such-path")
+      .set("accept", "application/problem+json");
+  expect(resp.statusCode).toEqual(404);
+  expect(resp.headers["content-type"]).toMatch(/^application\/problem\+json/);
+  expect(JSON.parse(resp.text)).toEqual({
+    type: "urn:jobly:error:not-found",
+    title: "Not Found",
+    status: 404,
+    detail: "Not Found",
+    instance: "/no-such-path",
+    code: "NOT_FOUND",
+  });
+});
+
 afterAll(function () {
   db.end();
 });
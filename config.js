@@ -5,31 +5,114 @@
 require("dotenv").config();
 require("colors");
 
+const os = require("os");
+const path = require("path");
+
 const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
 const PORT = +process.env.PORT || 3001;
 
+// Access tokens (JWTs) expire after this many seconds; refresh tokens, which
+// get new ones, after this many days
+const ACCESS_TOKEN_TTL_SECONDS = +process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = +process.env.REFRESH_TOKEN_TTL_DAYS || 30;
+
+// Password reset tokens can be used once, within this many minutes
+const PASSWORD_RESET_TTL_MINUTES = +process.env.PASSWORD_RESET_TTL_MINUTES || 60;
+
 // Use dev database, testing database, or via env var, production database
 function getDatabaseUri() {
   return (process.env.NODE_ENV === "test")
     ? "postgresql:///jobly_test"
     : process.env.DATABASE_URL || "postgresql:///jobly";
 }
+// How many connections the database pool may open at once
+const DB_POOL_SIZE = +process.env.DB_POOL_SIZE || 10;
+
 // Speed up bcrypt during tests, since the algorithm safety isn't being tested
 //
 // WJB: Evaluate in 2021 if this should be increased to 13 for non-test use
 const BCRYPT_WORK_FACTOR = process.env.NODE_ENV === "test" ? 1 : 12;
 
+// How many days a user must wait before re-applying to a job they withdrew from
+const APPLICATION_COOLDOWN_DAYS = process.env.APPLICATION_COOLDOWN_DAYS !== undefined
+    ? +process.env.APPLICATION_COOLDOWN_DAYS
+    : 30;
+
+// Where uploaded résumés are kept by the local storage driver, and how big they can be
+const RESUME_STORAGE_DIR = process.env.RESUME_STORAGE_DIR
+    || (process.env.NODE_ENV === "test"
+        ? path.join(os.tmpdir(), "jobly-test-resumes")
+        : path.join(__dirname, "uploads", "resumes"));
+const RESUME_MAX_BYTES = +process.env.RESUME_MAX_BYTES || 5 * 1024 * 1024;
+
+// How often draft jobs scheduled to publish are checked for ones that are due
+const JOB_PUBLISH_POLL_SECONDS = +process.env.JOB_PUBLISH_POLL_SECONDS || 60;
+
+// Where links in emails point: the address of the Jobly frontend
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+
+// How queued emails are delivered: "console" prints them, "maildir" writes
+// them to a Maildir at MAIL_DIR, "smtp" sends them through the server at
+// SMTP_URL and "memory" keeps them for tests to look at. The outbox is
+// checked for emails to send every MAIL_POLL_SECONDS.
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === "test" ? "memory" : "console");
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, "mail");
+const SMTP_URL = process.env.SMTP_URL || "smtp://localhost:25";
+const MAIL_FROM = process.env.MAIL_FROM || "Jobly <no-reply@jobly.local>";
+const MAIL_POLL_SECONDS = +process.env.MAIL_POLL_SECONDS || 10;
+
+// An email that fails to send is tried again after MAIL_RETRY_BASE_SECONDS,
+// then twice as long each time, up to MAIL_MAX_ATTEMPTS tries in all
+const MAIL_MAX_ATTEMPTS = +process.env.MAIL_MAX_ATTEMPTS || 5;
+const MAIL_RETRY_BASE_SECONDS = +process.env.MAIL_RETRY_BASE_SECONDS || 60;
+
+// Email verification links work for this many hours
+const EMAIL_VERIFICATION_TTL_HOURS = +process.env.EMAIL_VERIFICATION_TTL_HOURS || 48;
+
+// Whether users must verify their email address before applying to jobs
+const REQUIRE_VERIFIED_EMAIL_TO_APPLY = process.env.REQUIRE_VERIFIED_EMAIL_TO_APPLY === "true";
+
 console.log("Jobly Config:".green);
 console.log("SECRET_KEY:".yellow, SECRET_KEY);
 console.log("PORT:".yellow, PORT.toString());
+console.log("ACCESS_TOKEN_TTL_SECONDS".yellow, ACCESS_TOKEN_TTL_SECONDS);
+console.log("REFRESH_TOKEN_TTL_DAYS".yellow, REFRESH_TOKEN_TTL_DAYS);
+console.log("PASSWORD_RESET_TTL_MINUTES".yellow, PASSWORD_RESET_TTL_MINUTES);
 console.log("BCRYPT_WORK_FACTOR".yellow, BCRYPT_WORK_FACTOR);
+console.log("APPLICATION_COOLDOWN_DAYS".yellow, APPLICATION_COOLDOWN_DAYS);
+console.log("RESUME_STORAGE_DIR".yellow, RESUME_STORAGE_DIR);
+console.log("JOB_PUBLISH_POLL_SECONDS".yellow, JOB_PUBLISH_POLL_SECONDS);
+console.log("APP_URL".yellow, APP_URL);
+console.log("MAIL_TRANSPORT".yellow, MAIL_TRANSPORT);
+console.log("MAIL_DIR".yellow, MAIL_DIR);
+console.log("REQUIRE_VERIFIED_EMAIL_TO_APPLY".yellow, REQUIRE_VERIFIED_EMAIL_TO_APPLY);
 console.log("Database:".yellow, getDatabaseUri());
+console.log("DB_POOL_SIZE".yellow, DB_POOL_SIZE);
 console.log("---");
 
 module.exports = {
   SECRET_KEY,
   PORT,
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  PASSWORD_RESET_TTL_MINUTES,
   BCRYPT_WORK_FACTOR,
+  APPLICATION_COOLDOWN_DAYS,
+  RESUME_STORAGE_DIR,
+  RESUME_MAX_BYTES,
+  DB_POOL_SIZE,
+  JOB_PUBLISH_POLL_SECONDS,
+  APP_URL,
+  MAIL_TRANSPORT,
+  MAIL_DIR,
+  SMTP_URL,
+  MAIL_FROM,
+  MAIL_POLL_SECONDS,
+  MAIL_MAX_ATTEMPTS,
+  MAIL_RETRY_BASE_SECONDS,
+  EMAIL_VERIFICATION_TTL_HOURS,
+  REQUIRE_VERIFIED_EMAIL_TO_APPLY,
   getDatabaseUri,
 };
@@ -1,23 +1,137 @@
 "use strict";
-/** Database setup for jobly. */
-const { Client } = require("pg");
-const { getDatabaseUri } = require("./config");
+/** Database setup for jobly.
+ *
+ * Queries run on a pool of DB_POOL_SIZE connections. Statements that must
+ * succeed or fail together go in withTransaction; db.query calls made inside
+ * it run on the transaction's connection.
+ */
+const { AsyncLocalStorage } = require("async_hooks");
+const { Pool } = require("pg");
+const { getDatabaseUri, DB_POOL_SIZE } = require("./config");
 
-let db;
+let pool;
 
 if (process.env.NODE_ENV === "production") {
-  db = new Client({
+  pool = new Pool({
     connectionString: getDatabaseUri(),
+    max: DB_POOL_SIZE,
     ssl: {
       rejectUnauthorized: false
     }
   });
 } else {
-  db = new Client({
-    connectionString: getDatabaseUri()
+  pool = new Pool({
+    connectionString: getDatabaseUri(),
+    max: DB_POOL_SIZE,
   });
 }
 
-db.connect();
+// a connection that drops while idle in the pool shouldn't take the server down
+pool.on("error", function (err) {
+  console.error("Idle database connection failed:", err.message);
+});
+
+/** The connection of the transaction the calling code is running in. */
+const transactionClient = new AsyncLocalStorage();
+
+/** In tests, everything runs on this connection (see beginTestTransaction). */
+let testClient = null;
+
+const ISOLATION_LEVELS = ["READ COMMITTED", "REPEATABLE READ", "SERIALIZABLE"];
+
+let savepointCount = 0;
+
+function currentClient() {
+  return transactionClient.getStore() || testClient;
+}
+
+/** Run a query, on the current transaction's connection if there is one. */
+
+function query(text, values) {
+  const client = currentClient();
+  return client ? client.query(text, values) : pool.query(text, values);
+}
+
+/** Run fn in a transaction: committed if fn resolves, rolled back if it throws.
+ *
+ * db.query calls made by fn (and anything it calls) use the transaction, so
+ * models can wrap their existing queries without passing a client around.
+ * fn is also given the client, and whatever it resolves to is returned.
+ *
+ * isolation is one of ISOLATION_LEVELS, e.g. "REPEATABLE READ" for several
+ * reads that must see the same snapshot.
+ *
+ * Called inside another transaction, fn runs in a savepoint of it instead
+ * (and isolation is left as the outer transaction has it).
+ */
+
+async function withTransaction(fn, { isolation } = {}) {
+  if (isolation && !ISOLATION_LEVELS.includes(isolation)) {
+    throw new Error(`Unknown isolation level: ${isolation}`);
+  }
+
+  const outer = currentClient();
+  if (outer) {
+    const savepoint = `jobly_savepoint_${++savepointCount}`;
+    await outer.query(`SAVEPOINT ${savepoint}`);
+    try {
+      const result = await transactionClient.run(outer, () => fn(outer));
+      await outer.query(`RELEASE SAVEPOINT ${savepoint}`);
+      return result;
+    } catch (err) {
+      await outer.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+      throw err;
+    }
+  }
+
+  const client = await pool.connect();
+  // a connection that can't roll back is broken; it's dropped rather than reused
+  let brokenErr;
+  try {
+    await client.query(isolation ? `BEGIN ISOLATION LEVEL ${isolation}` : "BEGIN");
+    const result = await transactionClient.run(client, () => fn(client));
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK").catch(rollbackErr => { brokenErr = rollbackErr; });
+    throw err;
+  } finally {
+    client.release(brokenErr);
+  }
+}
+
+/** For tests: run every query from now on on one connection, in a
+ * transaction that rollbackTestTransaction undoes. withTransaction uses
+ * savepoints inside it. */
+
+async function beginTestTransaction() {
+  testClient = await pool.connect();
+  await testClient.query("BEGIN");
+}
+
+/** For tests: undo everything since beginTestTransaction. */
+
+async function rollbackTestTransaction() {
+  if (!testClient) return;
+  const client = testClient;
+  testClient = null;
+  try {
+    await client.query("ROLLBACK");
+  } finally {
+    client.release();
+  }
+}
+
+/** Close every connection in the pool. */
+
+function end() {
+  return pool.end();
+}
 
-module.exports = db;
\ No newline at end of file
+module.exports = {
+  query,
+  withTransaction,
+  beginTestTransaction,
+  rollbackTestTransaction,
+  end,
+};
@@ -0,0 +1,88 @@
+"use strict";
+
+const db = require("./db");
+
+beforeAll(async function () {
+  await db.query("CREATE TABLE IF NOT EXISTS db_test_things (name TEXT PRIMARY KEY)");
+});
+
+beforeEach(async function () {
+  await db.query("DELETE FROM db_test_things");
+});
+
+afterAll(async function () {
+  try {
+    await db.query("DROP TABLE db_test_things");
+  } finally {
+    await db.end();
+  }
+});
+
+async function thingNames() {
+  const result = await db.query("SELECT name FROM db_test_things ORDER BY name");
+  return result.rows.map(r => r.name);
+}
+
+describe("withTransaction", function () {
+  test("commits when fn resolves", async function () {
+    const result = await db.withTransaction(async function () {
+      await db.query("INSERT INTO db_test_things VALUES ('a')");
+      await db.query("INSERT INTO db_test_things VALUES ('b')");
+      return "done";
+    });
+    expect(result).toEqual("done");
+    expect(await thingNames()).toEqual(["a", "b"]);
+  });
+
+  test("rolls back when fn throws", async function () {
+    await expect(db.withTransaction(async function () {
+      await db.query("INSERT INTO db_test_things VALUES ('a')");
+      throw new Error("oops");
+    })).rejects.toThrow("oops");
+    expect(await thingNames()).toEqual([]);
+  });
+
+  test("queries inside use the transaction's connection", async function () {
+    await db.withTransaction(async function (client) {
+      await db.query("INSERT INTO db_test_things VALUES ('a')");
+      const seen = await client.query("SELECT name FROM db_test_things");
+      expect(seen.rows).toEqual([{ name: "a" }]);
+    });
+  });
+
+  test("nested transactions roll back on their own", async function () {
+    await db.withTransaction(async function () {
+      await db.query("INSERT INTO db_test_things VALUES ('a')");
+      await expect(db.withTransaction(async function () {
+        await db.query("INSERT INTO db_test_things VALUES ('a')");
+      })).rejects.toThrow();
+      await db.query("INSERT INTO db_test_things VALUES ('b')");
+    });
+    expect(await thingNames()).toEqual(["a", "b"]);
+  });
+
+  test("sets the isolation level", async function () {
+    const level = await db.withTransaction(async function () {
+      const result = await db.query("SHOW transaction_isolation");
+      return result.rows[0].transaction_isolation;
+    }, { isolation: "REPEATABLE READ" });
+    expect(level).toEqual("repeatable read");
+  });
+
+  test("rejects unknown isolation levels", async function () {
+    await expect(db.withTransaction(async () => null, { isolation: "DROP TABLE" }))
+        .rejects.toThrow("Unknown isolation level");
+  });
+});
+
+describe("test transactions", function () {
+  test("roll back everything, including committed transactions", async function () {
+    await db.beginTestTransaction();
+    await db.withTransaction(async function () {
+      await db.query("INSERT INTO db_test_things VALUES ('a')");
+    });
+    expect(await thingNames()).toEqual(["a"]);
+    await db.rollbackTestTransaction();
+    expect(await thingNames()).toEqual([]);
+  });
+});
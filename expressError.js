@@ -1,14 +1,18 @@
 /** ExpressError extends normal JS error so we can
  *  add a status when we make an instance of it.
  *
+ *  code is a stable, machine-readable name for the kind of error
+ *  ("NOT_FOUND"), for clients that shouldn't rely on the message.
+ *
  *  The error-handling middleware will return this.
  */
 
 class ExpressError extends Error {
-  constructor(message, status) {
+  constructor(message, status, code = "ERROR") {
     super();
     this.message = message;
     this.status = status;
+    this.code = code;
   }
 }
 
@@ -16,7 +20,7 @@ class ExpressError extends Error {
 
 class NotFoundError extends ExpressError {
   constructor(message = "Not Found") {
-    super(message, 404);
+    super(message, 404, "NOT_FOUND");
   }
 }
 
@@ -24,23 +28,40 @@ class NotFoundError extends ExpressError {
 
 class UnauthorizedError extends ExpressError {
   constructor(message = "Unauthorized") {
-    super(message, 401);
+    super(message, 401, "UNAUTHORIZED");
   }
 }
 
-/** 400 BAD REQUEST error. */
+/** 400 BAD REQUEST error.
+ *
+ * errors, if given, lists what was wrong with the request in detail:
+ * [{ field, rule, message }, ...] (see middleware/validation.js).
+ */
 
 class BadRequestError extends ExpressError {
-  constructor(message = "Bad Request") {
-    super(message, 400);
+  constructor(message = "Bad Request", errors) {
+    super(message, 400, "BAD_REQUEST");
+    if (errors) this.errors = errors;
   }
 }
 
-/** 403 BAD REQUEST error. */
+/** 403 FORBIDDEN error. */
 
 class ForbiddenError extends ExpressError {
-  constructor(message = "Bad Request") {
-    super(message, 403);
+  constructor(message = "Forbidden") {
+    super(message, 403, "FORBIDDEN");
+  }
+}
+
+/** 409 CONFLICT error: the request clashes with data that's already there.
+ *
+ * key, if given, is the conflicting key, e.g. { handle: "c1" }.
+ */
+
+class ConflictError extends ExpressError {
+  constructor(message = "Conflict", key) {
+    super(message, 409, "CONFLICT");
+    if (key) this.key = key;
   }
 }
 
@@ -50,4 +71,5 @@ module.exports = {
   UnauthorizedError,
   BadRequestError,
   ForbiddenError,
+  ConflictError,
 };
\ No newline at end of file
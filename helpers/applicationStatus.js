@@ -0,0 +1,43 @@
+const { BadRequestError } = require("../expressError");
+
+/** Statuses an application can be in, and where each one is allowed to go next.
+ *
+ * applied -> screening -> interviewing -> offered -> hired
+ *
+ * Any application that is still in progress can also be rejected or withdrawn.
+ * hired, rejected and withdrawn are final.
+ */
+
+const APPLICATION_TRANSITIONS = {
+  applied: ["screening", "rejected", "withdrawn"],
+  screening: ["interviewing", "rejected", "withdrawn"],
+  interviewing: ["offered", "rejected", "withdrawn"],
+  offered: ["hired", "rejected", "withdrawn"],
+  hired: [],
+  rejected: [],
+  withdrawn: [],
+};
+
+const APPLICATION_STATUSES = Object.keys(APPLICATION_TRANSITIONS);
+
+/** Check that an application may move from status `from` to status `to`.
+ *
+ * Throws BadRequestError if either status is unknown or the move is not allowed.
+ */
+
+function ensureValidTransition(from, to) {
+  if (!APPLICATION_STATUSES.includes(to)) {
+    throw new BadRequestError(`Invalid application status: ${to}`);
+  }
+
+  const allowed = APPLICATION_TRANSITIONS[from] || [];
+  if (!allowed.includes(to)) {
+    throw new BadRequestError(`Cannot change application status from ${from} to ${to}`);
+  }
+}
+
+module.exports = {
+  APPLICATION_STATUSES,
+  APPLICATION_TRANSITIONS,
+  ensureValidTransition,
+};
@@ -0,0 +1,28 @@
+const { BadRequestError } = require("../expressError");
+const { APPLICATION_STATUSES, ensureValidTransition } = require("./applicationStatus");
+
+describe("ensureValidTransition", () => {
+    it("allows moving forward one step", () => {
+        expect(() => ensureValidTransition("applied", "screening")).not.toThrow();
+        expect(() => ensureValidTransition("offered", "hired")).not.toThrow();
+    });
+
+    it("allows rejecting or withdrawing an application in progress", () => {
+        expect(() => ensureValidTransition("interviewing", "rejected")).not.toThrow();
+        expect(() => ensureValidTransition("applied", "withdrawn")).not.toThrow();
+    });
+
+    it("throws when skipping a step", () => {
+        expect(() => ensureValidTransition("applied", "offered")).toThrowError(BadRequestError);
+    });
+
+    it("throws when leaving a final status", () => {
+        for (const status of APPLICATION_STATUSES) {
+            expect(() => ensureValidTransition("hired", status)).toThrowError(BadRequestError);
+        }
+    });
+
+    it("throws on an unknown status", () => {
+        expect(() => ensureValidTransition("applied", "ghosted")).toThrowError(BadRequestError);
+    });
+})
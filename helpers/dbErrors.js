@@ -0,0 +1,123 @@
+const { BadRequestError, ConflictError } = require("../expressError");
+
+/** Postgres error codes we turn into client errors. */
+
+const UNIQUE_VIOLATION = "23505";
+const FOREIGN_KEY_VIOLATION = "23503";
+const CHECK_VIOLATION = "23514";
+const INVALID_TEXT_REPRESENTATION = "22P02";
+
+/** Messages for unique constraints, given the conflicting key. */
+
+const UNIQUE_MESSAGES = {
+  companies_pkey: key => `Duplicate company: ${key.handle}`,
+  companies_name_key: key => `Duplicate company name: ${key.name}`,
+  users_pkey: key => `Duplicate username: ${key.username}`,
+};
+
+/** Check constraints that need more explaining than the column they're on.
+ *
+ * Maps constraint name to { field, message }.
+ */
+
+const CHECK_MESSAGES = {
+  // an update may send only one end of the range, so only the database can compare them
+  jobs_salary_range_check: {
+    field: "salaryMin",
+    message: "salaryMin cannot be greater than salaryMax",
+  },
+};
+
+/** Column name as it's called in the API: "company_handle" => "companyHandle". */
+
+function fieldName(column) {
+  return column.replace(/_([a-z])/g, (m, letter) => letter.toUpperCase());
+}
+
+/** Read "Key (a, b)=(x, y) ..." from a Postgres error detail.
+ *
+ * Returns { fields: ["a", "b"], values: "x, y", key: { a: "x", b: "y" } }, or
+ * null if detail doesn't name a key.
+ */
+
+function keyFromDetail(detail) {
+  const match = /^Key \((.+?)\)=\((.*)\)/.exec(detail || "");
+  if (!match) return null;
+
+  const fields = match[1].split(", ").map(fieldName);
+  // a single value may itself hold ", " (company names do)
+  const values = fields.length === 1 ? [match[2]] : match[2].split(", ");
+  const key = Object.fromEntries(fields.map((field, i) => [field, values[i]]));
+  return { fields, values: match[2], key };
+}
+
+/** Turn an error from a database query into the ExpressError to send.
+ *
+ * - unique violations become 409 Conflict, with the conflicting key
+ * - foreign key violations become 400 Bad Request when the referenced row is
+ *   missing, and 409 Conflict when the row is still referenced elsewhere
+ * - check violations become 400 Bad Request
+ * - values that can't be read as their column's type (an id of "abc") become
+ *   400 Bad Request
+ *
+ * Each names the fields involved in err.errors, as [{ field, rule, message }],
+ * where postgres says which they are.
+ *
+ * Returns null for anything else.
+ */
+
+function fromDbError(err) {
+  if (!err || typeof err.code !== "string") return null;
+  const found = keyFromDetail(err.detail);
+
+  if (err.code === UNIQUE_VIOLATION) {
+    const fields = found ? found.fields : [];
+    const messageFor = UNIQUE_MESSAGES[err.constraint];
+    let message = "Duplicate record";
+    if (found) message = messageFor ? messageFor(found.key) : `Duplicate ${fields.join(", ")}: ${found.values}`;
+
+    const error = new ConflictError(message, found ? found.key : undefined);
+    error.errors = fields.map(field => ({ field, rule: "unique", message: "is already taken" }));
+    return error;
+  }
+
+  if (err.code === FOREIGN_KEY_VIOLATION) {
+    const fields = found ? found.fields : [];
+    if (/is still referenced/.test(err.detail)) {
+      const error = new ConflictError(
+          `${found ? found.values : "Record"} is still in use by ${err.table || "other records"}`,
+          found ? found.key : undefined);
+      error.errors = fields.map(field => ({ field, rule: "inUse", message: "is still in use" }));
+      return error;
+    }
+    return new BadRequestError(
+        found ? `No such ${fields.join(", ")}: ${found.values}` : "Referenced record does not exist",
+        fields.map(field => ({ field, rule: "exists", message: "does not exist" })));
+  }
+
+  if (err.code === CHECK_VIOLATION) {
+    const known = CHECK_MESSAGES[err.constraint];
+    if (known) {
+      return new BadRequestError(known.message,
+          [{ field: known.field, rule: "check", message: known.message }]);
+    }
+
+    // postgres names column checks "<table>_<column>_check"
+    const column = (err.constraint || "")
+        .replace(new RegExp(`^${err.table}_`), "")
+        .replace(/_check$/, "");
+    const field = fieldName(column);
+    return new BadRequestError(`Invalid value for ${field}`,
+        [{ field, rule: "check", message: "is not an allowed value" }]);
+  }
+
+  if (err.code === INVALID_TEXT_REPRESENTATION) {
+    // postgres doesn't name the column, only the type: invalid input syntax for type integer: "abc"
+    const match = /for (?:type|enum) (.+?): (".*")$/.exec(err.message || "");
+    return new BadRequestError(match ? `Invalid ${match[1]}: ${match[2]}` : "Invalid input value");
+  }
+
+  return null;
+}
+
+module.exports = { fromDbError };
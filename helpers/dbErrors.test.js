@@ -0,0 +1,90 @@
+const { fromDbError } = require("./dbErrors");
+const { BadRequestError, ConflictError } = require("../expressError");
+
+describe("fromDbError", function () {
+  test("unique violation: 409 naming the fields", function () {
+    const err = fromDbError({
+      code: "23505",
+      table: "applications",
+      detail: "Key (username, job_id)=(u1, 1) already exists.",
+    });
+    expect(err instanceof ConflictError).toBeTruthy();
+    expect(err.message).toEqual("Duplicate username, jobId: u1, 1");
+    expect(err.key).toEqual({ username: "u1", jobId: "1" });
+    expect(err.errors).toEqual([
+      { field: "username", rule: "unique", message: "is already taken" },
+      { field: "jobId", rule: "unique", message: "is already taken" },
+    ]);
+  });
+
+  test("unique violation: known constraints get their own message", function () {
+    const err = fromDbError({
+      code: "23505",
+      table: "companies",
+      constraint: "companies_name_key",
+      detail: "Key (name)=(Acme, Inc) already exists.",
+    });
+    expect(err.message).toEqual("Duplicate company name: Acme, Inc");
+    expect(err.key).toEqual({ name: "Acme, Inc" });
+  });
+
+  test("foreign key violation: 400 for a missing row", function () {
+    const err = fromDbError({
+      code: "23503",
+      table: "jobs",
+      detail: 'Key (company_handle)=(nope) is not present in table "companies".',
+    });
+    expect(err instanceof BadRequestError).toBeTruthy();
+    expect(err.message).toEqual("No such companyHandle: nope");
+    expect(err.errors).toEqual([
+      { field: "companyHandle", rule: "exists", message: "does not exist" },
+    ]);
+  });
+
+  test("foreign key violation: 409 for a row still in use", function () {
+    const err = fromDbError({
+      code: "23503",
+      table: "jobs",
+      detail: 'Key (handle)=(c1) is still referenced from table "jobs".',
+    });
+    expect(err.status).toEqual(409);
+    expect(err.message).toEqual("c1 is still in use by jobs");
+  });
+
+  test("check violation: 400 naming the column", function () {
+    const err = fromDbError({
+      code: "23514",
+      table: "companies",
+      constraint: "companies_num_employees_check",
+    });
+    expect(err instanceof BadRequestError).toBeTruthy();
+    expect(err.errors).toEqual([
+      { field: "numEmployees", rule: "check", message: "is not an allowed value" },
+    ]);
+  });
+
+  test("check violation: known constraints get their own message", function () {
+    const err = fromDbError({
+      code: "23514",
+      table: "jobs",
+      constraint: "jobs_salary_range_check",
+    });
+    expect(err.message).toEqual("salaryMin cannot be greater than salaryMax");
+    expect(err.errors[0].field).toEqual("salaryMin");
+  });
+
+  test("invalid text representation: 400 naming the type", function () {
+    const err = fromDbError({
+      code: "22P02",
+      message: 'invalid input syntax for type integer: "abc"',
+    });
+    expect(err instanceof BadRequestError).toBeTruthy();
+    expect(err.message).toEqual('Invalid integer: "abc"');
+    expect(fromDbError({ code: "22P02" }).message).toEqual("Invalid input value");
+  });
+
+  test("null for other errors", function () {
+    expect(fromDbError({ code: "42P01" })).toBeNull();
+    expect(fromDbError(new Error("oops"))).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+/** Templates for the emails Jobly sends.
+ *
+ * Each template takes the data it needs and returns { subject, text, html }:
+ * the same message as plain text and as HTML. Use them through renderMail.
+ */
+
+/** Escape a value for HTML. */
+
+function escapeHtml(value) {
+  return String(value)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&#39;");
+}
+
+/** Tag for HTML template literals: html`<p>${name}</p>` escapes name. */
+
+function html(strings, ...values) {
+  return strings.reduce((out, string, i) => out + escapeHtml(values[i - 1]) + string);
+}
+
+/** Wrap the HTML of a message in a page. body is already HTML. */
+
+function layout(title, body) {
+  return html`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${title}</title></head>
+<body style="font-family: sans-serif; line-height: 1.5">
+` + body + `
+<p style="color: #888">Jobly</p>
+</body>
+</html>
+`;
+}
+
+const TEMPLATES = {
+  /** { firstName, username, link, ttlMinutes } */
+  passwordReset({ firstName, username, link, ttlMinutes }) {
+    const subject = "Reset your Jobly password";
+    return {
+      subject,
+      text: `Hi ${firstName},\n\n`
+          + `Someone asked to reset the password for your Jobly account, ${username}. `
+          + `To choose a new one, open this link within ${ttlMinutes} minutes:\n\n`
+          + `${link}\n\n`
+          + "If that wasn't you, you can ignore this email.\n",
+      html: layout(subject, html`<p>Hi ${firstName},</p>
+<p>Someone asked to reset the password for your Jobly account, <b>${username}</b>.
+To choose a new one, open this link within ${ttlMinutes} minutes:</p>
+<p><a href="${link}">Reset your password</a></p>
+<p>If that wasn't you, you can ignore this email.</p>`),
+    };
+  },
+
+  /** { firstName, email, link, ttlHours } */
+  verifyEmail({ firstName, email, link, ttlHours }) {
+    const subject = "Verify your Jobly email address";
+    return {
+      subject,
+      text: `Hi ${firstName},\n\n`
+          + `To confirm that ${email} is your email address, open this link `
+          + `within ${ttlHours} hours:\n\n`
+          + `${link}\n\n`
+          + "If you didn't sign up for Jobly, you can ignore this email.\n",
+      html: layout(subject, html`<p>Hi ${firstName},</p>
+<p>To confirm that <b>${email}</b> is your email address, open this link
+within ${ttlHours} hours:</p>
+<p><a href="${link}">Verify your email address</a></p>
+<p>If you didn't sign up for Jobly, you can ignore this email.</p>`),
+    };
+  },
+};
+
+/** Render the named template with data: returns { subject, text, html }.
+ *
+ * Throws Error for an unknown template.
+ */
+
+function renderMail(name, data) {
+  if (!Object.prototype.hasOwnProperty.call(TEMPLATES, name)) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return TEMPLATES[name](data);
+}
+
+module.exports = { renderMail, escapeHtml };
@@ -0,0 +1,39 @@
+const { renderMail, escapeHtml } = require("./mailTemplates");
+
+describe("escapeHtml", () => {
+    it("escapes markup", () => {
+        expect(escapeHtml(`<a href="x">Tom & Jerry's</a>`))
+            .toEqual("&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;");
+    });
+})
+
+describe("renderMail", () => {
+    it("renders text and HTML", () => {
+        const mail = renderMail("verifyEmail", {
+            firstName: "U1F",
+            email: "u1@email.com",
+            link: "http://localhost:3000/verify-email?token=abc",
+            ttlHours: 48,
+        });
+        expect(mail.subject).toEqual("Verify your Jobly email address");
+        expect(mail.text).toContain("Hi U1F,");
+        expect(mail.text).toContain("http://localhost:3000/verify-email?token=abc");
+        expect(mail.html).toContain(`<a href="http://localhost:3000/verify-email?token=abc">`);
+    });
+
+    it("escapes data in HTML only", () => {
+        const mail = renderMail("passwordReset", {
+            firstName: "<script>",
+            username: "u1",
+            link: "http://localhost:3000/reset-password?token=abc",
+            ttlMinutes: 60,
+        });
+        expect(mail.text).toContain("Hi <script>,");
+        expect(mail.html).toContain("Hi &lt;script&gt;,");
+        expect(mail.html).not.toContain("<script>");
+    });
+
+    it("throws for an unknown template", () => {
+        expect(() => renderMail("nope", {})).toThrow();
+    });
+})
@@ -0,0 +1,104 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  ConsoleTransport,
+  MaildirTransport,
+  SmtpTransport,
+  MemoryTransport,
+  toMime,
+  transportFor,
+  sendMail,
+  getTransport,
+  setTransport,
+} = require("./mailer");
+
+const email = {
+  from: "a@jobly.local",
+  to: "u1@email.com",
+  subject: "Hi",
+  text: "Hello there",
+  html: "<p>Hello there</p>",
+};
+
+describe("toMime", () => {
+    it("has text and HTML parts", async () => {
+        const mime = (await toMime(email)).toString();
+        expect(mime).toContain("To: u1@email.com");
+        expect(mime).toContain("Subject: Hi");
+        expect(mime).toContain("Content-Type: multipart/alternative");
+        expect(mime).toContain("Hello there");
+        expect(mime).toContain("<p>Hello there</p>");
+    });
+})
+
+describe("MaildirTransport", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-mail-"));
+    const transport = new MaildirTransport(dir);
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("delivers each email to new/", async () => {
+        await transport.send(email);
+        await transport.send(email);
+        const files = fs.readdirSync(path.join(dir, "new"));
+        expect(files.length).toEqual(2);
+        expect(fs.readdirSync(path.join(dir, "tmp"))).toEqual([]);
+        const text = fs.readFileSync(path.join(dir, "new", files[0]), "utf8");
+        expect(text).toContain("Subject: Hi");
+    });
+})
+
+describe("SmtpTransport", () => {
+    it("hands the email to nodemailer", async () => {
+        // streamTransport builds the message without a server to send it to
+        const transport = new SmtpTransport({ streamTransport: true, buffer: true });
+        const sendMailSpy = jest.spyOn(transport.transporter, "sendMail");
+        await transport.send(email);
+        expect(sendMailSpy).toHaveBeenCalledWith(email);
+    });
+})
+
+describe("MemoryTransport", () => {
+    it("keeps what it sends", async () => {
+        const transport = new MemoryTransport();
+        await transport.send(email);
+        expect(transport.sent).toEqual([email]);
+        transport.clear();
+        expect(transport.sent).toEqual([]);
+    });
+})
+
+describe("transportFor", () => {
+    it("makes the named transport", () => {
+        expect(transportFor("console")).toBeInstanceOf(ConsoleTransport);
+        expect(transportFor("maildir")).toBeInstanceOf(MaildirTransport);
+        expect(transportFor("smtp")).toBeInstanceOf(SmtpTransport);
+        expect(transportFor("memory")).toBeInstanceOf(MemoryTransport);
+    });
+
+    it("rejects unknown names", () => {
+        expect(() => transportFor("pigeon")).toThrow();
+    });
+})
+
+describe("sendMail", () => {
+    it("sends with the current transport, from MAIL_FROM", async () => {
+        const original = getTransport();
+        const transport = new MemoryTransport();
+        setTransport(transport);
+        try {
+            await sendMail({ to: "u1@email.com", subject: "Hi", text: "Hello" });
+        } finally {
+            setTransport(original);
+        }
+        expect(transport.sent).toEqual([{
+            from: expect.any(String),
+            to: "u1@email.com",
+            subject: "Hi",
+            text: "Hello",
+        }]);
+    });
+})
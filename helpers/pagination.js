@@ -0,0 +1,263 @@
+const { BadRequestError } = require("../expressError");
+
+/** Pages hold this many rows unless a limit is asked for, and never more than the max. */
+
+const DEFAULT_PAGE_LIMIT = 20;
+const MAX_PAGE_LIMIT = 100;
+
+/** What each type of order column accepts as a cursor key. Numbers may come
+ * back from postgres as strings (numeric columns do), and timestamps are
+ * Dates, which a cursor holds as ISO strings. */
+
+const CURSOR_KEY_TYPES = {
+  integer: key => Number.isInteger(key) && Math.abs(key) <= 2147483647,
+  number: key => (typeof key === "number" && Number.isFinite(key))
+      || (typeof key === "string" && /^-?\d+(\.\d+)?$/.test(key)),
+  text: key => typeof key === "string",
+  timestamp: key => typeof key === "string"
+      && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/.test(key) && !Number.isNaN(Date.parse(key)),
+};
+
+/** Read { limit, offset, cursor } from a query string into a page request.
+ *
+ * Returns { limit, offset, cursor }
+ *   where offset is null unless given, and cursor is the decoded cursor
+ *   ({ direction: "after" | "before", order: [...], keys: [...] }) or null
+ *
+ * Throws BadRequestError on invalid values, or if both offset and cursor are given.
+ */
+
+function parsePage({ limit, offset, cursor } = {}) {
+  if (limit !== undefined && !(/^\d+$/.test(limit) && +limit >= 1 && +limit <= MAX_PAGE_LIMIT)) {
+    throw new BadRequestError(`limit must be an integer from 1 to ${MAX_PAGE_LIMIT}`);
+  }
+  if (offset !== undefined && !/^\d+$/.test(offset)) {
+    throw new BadRequestError("offset must be a non-negative integer");
+  }
+  if (offset !== undefined && cursor !== undefined) {
+    throw new BadRequestError("Use either offset or cursor, not both");
+  }
+
+  return {
+    limit: limit === undefined ? DEFAULT_PAGE_LIMIT : +limit,
+    offset: offset === undefined ? null : +offset,
+    cursor: cursor === undefined ? null : decodeCursor(cursor),
+  };
+}
+
+/** Read a sort query parameter into the list of columns to order rows by.
+ *
+ * sort is a comma-separated list of field names, each optionally prefixed
+ * with "-" for descending order: "-salary,title". Only fields in `sortable`
+ * are allowed; it maps field names to { column, key, type, ifNull } where
+ * column is the SQL to sort on, key the matching property on returned rows,
+ * type the kind of value it holds ("integer", "number", "text" or "timestamp"; see
+ * CURSOR_KEY_TYPES), and ifNull (for nullable columns) the value nulls sort as.
+ *
+ * The `unique` field is added last if it isn't already there, so rows with
+ * equal sort values always come back in the same order.
+ *
+ * Returns [{ column, key, type, ifNull, desc }, ...] for sqlForPage and paginate.
+ *
+ * Throws BadRequestError on unknown or repeated fields.
+ */
+
+function parseSort(sort, sortable, unique) {
+  const seen = new Set();
+  const orderBy = sort.split(",").map(part => {
+    const term = part.trim();
+    const desc = term.startsWith("-");
+    const field = desc ? term.slice(1) : term;
+
+    if (!Object.prototype.hasOwnProperty.call(sortable, field)) {
+      throw new BadRequestError(
+          `Cannot sort by "${field}"; sortable fields are: ${Object.keys(sortable).join(", ")}`);
+    }
+    if (seen.has(field)) throw new BadRequestError(`Cannot sort by "${field}" twice`);
+    seen.add(field);
+
+    return { ...sortable[field], desc };
+  });
+
+  if (!seen.has(unique)) orderBy.push({ ...sortable[unique], desc: false });
+  return orderBy;
+}
+
+/** The order a cursor was made for, e.g. ["-salary", "id"], so it can't be
+ * used with a different one. */
+
+function orderTag(orderBy) {
+  return orderBy.map(({ key, desc }) => `${desc ? "-" : ""}${key}`);
+}
+
+/** Turn a cursor into the opaque string handed out to clients. */
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+/** Turn a cursor string from a client back into { direction, order, keys }.
+ *
+ * Throws BadRequestError if it isn't a cursor we handed out.
+ */
+
+function decodeCursor(str) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(str, "base64url").toString());
+  } catch (err) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  if (!cursor || !["after", "before"].includes(cursor.direction)
+      || !Array.isArray(cursor.order) || !Array.isArray(cursor.keys)) {
+    throw new BadRequestError("Invalid cursor");
+  }
+  return cursor;
+}
+
+/** Generate the ORDER BY / LIMIT / OFFSET (and, for cursors, WHERE) SQL for a page.
+ *
+ * orderBy lists the columns rows are sorted by, ending in a unique one so the
+ * order is stable: [{ column, key, type, desc }, ...] where column is the SQL
+ * expression, key is the matching property on the returned rows and type
+ * what kind of value it holds (see parseSort).
+ *
+ * Throws BadRequestError if the cursor was made for another order, or holds
+ * keys of the wrong type for their columns.
+ *
+ * Cursor values are pushed onto `values`, so this must be called after the
+ * query's other parameters have been added.
+ *
+ * Returns { where, orderBy, limit } where `where` is null unless paging by cursor.
+ *
+ *   sqlForPage({ limit: 2, offset: null,
+ *                cursor: { direction: "after", order: ["name", "handle"], keys: ["Acme", "acme"] } },
+ *              [{ column: "name", key: "name", type: "text" },
+ *               { column: "handle", key: "handle", type: "text" }], [])
+ *   => { where: '((name > $1) OR (name = $1 AND handle > $2))',
+ *        orderBy: 'ORDER BY name ASC, handle ASC',
+ *        limit: 'LIMIT 3' }
+ */
+
+function sqlForPage({ limit, offset, cursor }, orderBy, values) {
+  // paging backwards: walk the order in reverse, then flip the rows afterwards
+  const reverse = Boolean(cursor && cursor.direction === "before");
+  let where = null;
+
+  if (cursor) {
+    if (JSON.stringify(cursor.order) !== JSON.stringify(orderTag(orderBy))
+        || cursor.keys.length !== orderBy.length) {
+      throw new BadRequestError("Cursor does not match the sort order");
+    }
+    // the keys are the client's to edit, so they're checked before they reach the query
+    if (!cursor.keys.every((key, i) => CURSOR_KEY_TYPES[orderBy[i].type](key))) {
+      throw new BadRequestError("Invalid cursor");
+    }
+
+    const params = cursor.keys.map(key => {
+      values.push(key);
+      return `$${values.length}`;
+    });
+
+    // (a, b) after (x, y)  =>  a > x OR (a = x AND b > y)
+    const clauses = orderBy.map(({ column, desc }, i) => {
+      const op = Boolean(desc) !== reverse ? "<" : ">";
+      const ties = orderBy.slice(0, i).map((o, j) => `${o.column} = ${params[j]}`);
+      return `(${[...ties, `${column} ${op} ${params[i]}`].join(" AND ")})`;
+    });
+    where = `(${clauses.join(" OR ")})`;
+  }
+
+  const cols = orderBy.map(({ column, desc }) =>
+      `${column} ${Boolean(desc) !== reverse ? "DESC" : "ASC"}`);
+
+  // one extra row tells us whether there is another page
+  let limitSql = `LIMIT ${limit + 1}`;
+  if (offset) limitSql += ` OFFSET ${offset}`;
+
+  return { where, orderBy: `ORDER BY ${cols.join(", ")}`, limit: limitSql };
+}
+
+/** Trim the rows fetched with sqlForPage down to one page, and work out where
+ * the pages either side of it start.
+ *
+ * Returns { rows, page }
+ *   where page is { total, limit, offset, next, prev } and next / prev are the
+ *   query parameters for the neighbouring pages ({ offset } or { cursor }), or null.
+ *
+ * Pages link to each other by offset when an offset was asked for, and by
+ * cursor otherwise.
+ */
+
+function paginate(fetchedRows, { limit, offset, cursor }, total, orderBy) {
+  const hasMore = fetchedRows.length > limit;
+  const rows = fetchedRows.slice(0, limit);
+  const backwards = Boolean(cursor && cursor.direction === "before");
+  if (backwards) rows.reverse();
+
+  let next = null;
+  let prev = null;
+
+  if (offset !== null) {
+    if (hasMore) next = { offset: offset + limit };
+    if (offset > 0) prev = { offset: Math.max(offset - limit, 0) };
+  } else if (rows.length) {
+    const order = orderTag(orderBy);
+    const keysOf = row => orderBy.map(({ key, ifNull }) =>
+        (row[key] === null && ifNull !== undefined) ? ifNull : row[key]);
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+
+    if (backwards ? true : hasMore) {
+      next = { cursor: encodeCursor({ direction: "after", order, keys: keysOf(last) }) };
+    }
+    if (backwards ? hasMore : Boolean(cursor)) {
+      prev = { cursor: encodeCursor({ direction: "before", order, keys: keysOf(first) }) };
+    }
+  }
+
+  return { rows, page: { total, limit, offset, next, prev } };
+}
+
+/** Turn a page from paginate() into the pagination envelope sent by list routes.
+ *
+ * List routes return results a page at a time: limit (default 20, at most
+ * 100) and either offset or cursor pick the page, and pagination has the
+ * total number of matches plus links to the next and previous pages (null at
+ * either end).
+ *
+ * next / prev become links to the same route with the same query string,
+ * pointing at the neighbouring pages.
+ *
+ * Returns { total, limit, offset, next, prev }
+ */
+
+function paginationFor(req, page) {
+  const linkTo = params => {
+    if (!params) return null;
+
+    const query = new URLSearchParams();
+    for (const [name, value] of Object.entries(req.query)) {
+      if (["limit", "offset", "cursor"].includes(name)) continue;
+      for (const v of [].concat(value)) query.append(name, v);
+    }
+    query.set("limit", page.limit);
+    for (const [name, value] of Object.entries(params)) query.set(name, value);
+
+    return `${req.baseUrl}${req.path === "/" ? "" : req.path}?${query}`;
+  };
+
+  return { ...page, next: linkTo(page.next), prev: linkTo(page.prev) };
+}
+
+module.exports = {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  parsePage,
+  parseSort,
+  encodeCursor,
+  decodeCursor,
+  sqlForPage,
+  paginate,
+  paginationFor,
+};
@@ -0,0 +1,175 @@
+const { BadRequestError } = require("../expressError");
+const {
+    parsePage,
+    parseSort,
+    encodeCursor,
+    decodeCursor,
+    sqlForPage,
+    paginate,
+    paginationFor,
+} = require("./pagination");
+
+const order = [{ column: "name", key: "name", type: "text" }, { column: "handle", key: "handle", type: "text" }];
+
+describe("parsePage", () => {
+    it("uses the default limit", () => {
+        expect(parsePage({})).toEqual({ limit: 20, offset: null, cursor: null });
+    });
+
+    it("reads limit, offset and cursor", () => {
+        expect(parsePage({ limit: "5", offset: "10" })).toEqual({ limit: 5, offset: 10, cursor: null });
+        const cursor = encodeCursor({ direction: "after", order: ["name", "handle"], keys: ["C1", "c1"] });
+        expect(parsePage({ cursor }).cursor)
+            .toEqual({ direction: "after", order: ["name", "handle"], keys: ["C1", "c1"] });
+    });
+
+    it("rejects bad values", () => {
+        expect(() => parsePage({ limit: "0" })).toThrowError(BadRequestError);
+        expect(() => parsePage({ limit: "101" })).toThrowError(BadRequestError);
+        expect(() => parsePage({ offset: "-1" })).toThrowError(BadRequestError);
+        expect(() => parsePage({ offset: "0", cursor: encodeCursor({ direction: "after", order: [], keys: [] }) }))
+            .toThrowError(BadRequestError);
+        expect(() => decodeCursor("not a cursor")).toThrowError(BadRequestError);
+    });
+})
+
+describe("parseSort", () => {
+    const sortable = {
+        name: { column: "name", key: "name", type: "text" },
+        handle: { column: "handle", key: "handle", type: "text" },
+        numEmployees: { column: "COALESCE(num_employees, -1)", key: "numEmployees", ifNull: -1, type: "integer" },
+    };
+
+    it("reads fields and directions, adding the unique field last", () => {
+        expect(parseSort("-numEmployees, name", sortable, "handle")).toEqual([
+            { ...sortable.numEmployees, desc: true },
+            { ...sortable.name, desc: false },
+            { ...sortable.handle, desc: false },
+        ]);
+        expect(parseSort("-handle", sortable, "handle")).toEqual([{ ...sortable.handle, desc: true }]);
+    });
+
+    it("rejects unknown and repeated fields", () => {
+        expect(() => parseSort("password", sortable, "handle")).toThrowError(BadRequestError);
+        expect(() => parseSort("name;DROP TABLE companies", sortable, "handle")).toThrowError(BadRequestError);
+        expect(() => parseSort("name,-name", sortable, "handle")).toThrowError(BadRequestError);
+        expect(() => parseSort("toString", sortable, "handle")).toThrowError(BadRequestError);
+    });
+})
+
+describe("sqlForPage", () => {
+    it("pages by offset", () => {
+        const values = [];
+        expect(sqlForPage({ limit: 2, offset: 4, cursor: null }, order, values)).toEqual({
+            where: null,
+            orderBy: "ORDER BY name ASC, handle ASC",
+            limit: "LIMIT 3 OFFSET 4",
+        });
+        expect(values).toEqual([]);
+    });
+
+    it("pages after a cursor", () => {
+        const values = ["%C%"];
+        const sql = sqlForPage(
+            { limit: 2, offset: null, cursor: { direction: "after", order: ["name", "handle"], keys: ["C1", "c1"] } }, order, values);
+        expect(sql.where).toEqual("((name > $2) OR (name = $2 AND handle > $3))");
+        expect(sql.orderBy).toEqual("ORDER BY name ASC, handle ASC");
+        expect(values).toEqual(["%C%", "C1", "c1"]);
+    });
+
+    it("pages before a cursor in reverse", () => {
+        const sql = sqlForPage(
+            { limit: 2, offset: null, cursor: { direction: "before", order: ["name", "handle"], keys: ["C3", "c3"] } }, order, []);
+        expect(sql.where).toEqual("((name < $1) OR (name = $1 AND handle < $2))");
+        expect(sql.orderBy).toEqual("ORDER BY name DESC, handle DESC");
+    });
+
+    it("rejects cursors for a different order", () => {
+        const cursor = { direction: "after", order: ["-name", "handle"], keys: ["C1", "c1"] };
+        expect(() => sqlForPage({ limit: 2, offset: null, cursor }, order, []))
+            .toThrowError(BadRequestError);
+    });
+
+    it("rejects cursor keys of the wrong type", () => {
+        const byId = [{ column: "id", key: "id", type: "integer" }];
+        const page = keys => ({ limit: 2, offset: null, cursor: { direction: "after", order: ["id"], keys } });
+        expect(() => sqlForPage(page(["abc"]), byId, [])).toThrowError("Invalid cursor");
+        expect(() => sqlForPage(page([1.5]), byId, [])).toThrowError(BadRequestError);
+        expect(() => sqlForPage(page([null]), byId, [])).toThrowError(BadRequestError);
+        expect(() => sqlForPage({ ...page([1]), cursor: { direction: "after", order: ["name", "handle"], keys: [{}, "c1"] } },
+            order, [])).toThrowError(BadRequestError);
+    });
+
+    it("accepts numeric strings for number columns", () => {
+        const byEquity = [{ column: "COALESCE(equity, -1)", key: "equity", ifNull: -1, type: "number" }];
+        const cursor = { direction: "after", order: ["equity"], keys: ["0.05"] };
+        expect(() => sqlForPage({ limit: 2, offset: null, cursor }, byEquity, [])).not.toThrow();
+        cursor.keys = ["0.05; DROP TABLE jobs"];
+        expect(() => sqlForPage({ limit: 2, offset: null, cursor }, byEquity, [])).toThrowError(BadRequestError);
+    });
+
+    it("accepts only ISO strings for timestamp columns", () => {
+        const byTime = [{ column: "applied_at", key: "appliedAt", type: "timestamp" }];
+        const page = keys => ({ limit: 2, offset: null, cursor: { direction: "after", order: ["appliedAt"], keys } });
+        expect(() => sqlForPage(page(["2023-01-01T00:00:00.000Z"]), byTime, [])).not.toThrow();
+        expect(() => sqlForPage(page(["yesterday"]), byTime, [])).toThrowError("Invalid cursor");
+        expect(() => sqlForPage(page(["2023-13-45T00:00:00Z"]), byTime, [])).toThrowError(BadRequestError);
+        expect(() => sqlForPage(page([1672531200000]), byTime, [])).toThrowError(BadRequestError);
+    });
+
+    it("compares descending columns the other way", () => {
+        const cursor = { direction: "after", order: ["-name", "handle"], keys: ["C1", "c1"] };
+        const sql = sqlForPage({ limit: 2, offset: null, cursor }, [{ ...order[0], desc: true }, order[1]], []);
+        expect(sql.where).toEqual("((name < $1) OR (name = $1 AND handle > $2))");
+        expect(sql.orderBy).toEqual("ORDER BY name DESC, handle ASC");
+    });
+})
+
+describe("paginate", () => {
+    const rows = [
+        { name: "C1", handle: "c1" },
+        { name: "C2", handle: "c2" },
+        { name: "C3", handle: "c3" },
+    ];
+
+    it("trims the extra row and links by cursor", () => {
+        const { rows: pageRows, page } = paginate(rows, { limit: 2, offset: null, cursor: null }, 3, order);
+        expect(pageRows).toEqual(rows.slice(0, 2));
+        expect(decodeCursor(page.next.cursor))
+            .toEqual({ direction: "after", order: ["name", "handle"], keys: ["C2", "c2"] });
+        expect(page.prev).toBeNull();
+    });
+
+    it("puts rows fetched backwards back in order", () => {
+        const cursor = { direction: "before", order: ["name", "handle"], keys: ["C4", "c4"] };
+        const { rows: pageRows, page } = paginate([...rows].reverse(), { limit: 2, offset: null, cursor }, 4, order);
+        expect(pageRows.map(r => r.handle)).toEqual(["c2", "c3"]);
+        expect(decodeCursor(page.prev.cursor).keys).toEqual(["C2", "c2"]);
+        expect(decodeCursor(page.next.cursor).keys).toEqual(["C3", "c3"]);
+    });
+
+    it("puts nulls in cursors as the value they sort as", () => {
+        const sortable = [{ column: "COALESCE(salary, -1)", key: "salary", ifNull: -1, type: "number" }, { column: "id", key: "id", type: "integer" }];
+        const { page } = paginate([{ salary: null, id: 1 }, { salary: 5, id: 2 }], { limit: 1, offset: null, cursor: null }, 2, sortable);
+        expect(decodeCursor(page.next.cursor).keys).toEqual([-1, 1]);
+    });
+
+    it("links by offset when given one", () => {
+        const { page } = paginate(rows, { limit: 2, offset: 2, cursor: null }, 5, order);
+        expect(page).toEqual({ total: 5, limit: 2, offset: 2, next: { offset: 4 }, prev: { offset: 0 } });
+    });
+})
+
+describe("paginationFor", () => {
+    it("builds links that keep the rest of the query", () => {
+        const req = { baseUrl: "/jobs", path: "/", query: { title: "J", limit: "2", offset: "2" } };
+        const page = { total: 5, limit: 2, offset: 2, next: { offset: 4 }, prev: null };
+        expect(paginationFor(req, page)).toEqual({
+            total: 5,
+            limit: 2,
+            offset: 2,
+            next: "/jobs?title=J&limit=2&offset=4",
+            prev: null,
+        });
+    });
+})
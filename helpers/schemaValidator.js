@@ -0,0 +1,107 @@
+const { Validator } = require("jsonschema");
+
+/** JSON schema validator that also knows the keywords our schemas add.
+ *
+ * "ranges": [{ "min": "salaryMin", "max": "salaryMax" }, ...]
+ *   names pairs of number properties where, if both are given, min can't be
+ *   greater than max. (JSON schema itself can't compare two properties.)
+ */
+
+const validator = new Validator();
+
+validator.attributes.ranges = function validateRanges(instance, schema) {
+  if (!instance || typeof instance !== "object") return;
+
+  for (const { min, max } of schema.ranges) {
+    if (typeof instance[min] === "number" && typeof instance[max] === "number"
+        && instance[min] > instance[max]) {
+      return {
+        validatorType: "ranges",
+        name: "ranges",
+        argument: { min, max },
+        message: `${min} cannot be greater than ${max}`,
+      };
+    }
+  }
+};
+
+/** Validate instance against schema; returns a jsonschema ValidatorResult. */
+
+function validate(instance, schema) {
+  return validator.validate(instance, schema);
+}
+
+/** Query strings and route params only hold strings: turn values for number,
+ * integer and boolean properties of schema into those types, so the schema
+ * can check them.
+ *
+ * Values that don't look like the right type are left as strings for the
+ * schema to reject.
+ *
+ * Returns a new object; values itself is left alone.
+ */
+
+function coerceStrings(values, schema) {
+  const coerced = { ...values };
+
+  for (const [name, value] of Object.entries(values)) {
+    const prop = schema.properties && schema.properties[name];
+    if (!prop || typeof value !== "string") continue;
+    const types = [].concat(prop.type);
+
+    if ((types.includes("number") || types.includes("integer"))
+        && value.trim() !== "" && !Number.isNaN(Number(value))) {
+      coerced[name] = Number(value);
+    } else if (types.includes("boolean") && (value === "true" || value === "false")) {
+      coerced[name] = value === "true";
+    }
+  }
+
+  return coerced;
+}
+
+/** Fill in the "default" of each top-level property of schema that values
+ * leaves out.
+ *
+ * Returns a new object; values itself is left alone.
+ */
+
+function applyDefaults(values, schema) {
+  const filled = { ...values };
+
+  for (const [name, prop] of Object.entries(schema.properties || {})) {
+    if (filled[name] === undefined && prop.default !== undefined) {
+      filled[name] = prop.default;
+    }
+  }
+
+  return filled;
+}
+
+/** Describe a jsonschema ValidationError for API clients.
+ *
+ * Returns { field, rule, message }
+ *   where field is the path to the offending value ("answers[0].answer"; ""
+ *   for the whole instance) and rule is the schema keyword that failed.
+ *
+ *   describeError(<error for { salaryMin: -1 } against "minimum": 0>)
+ *   => { field: "salaryMin", rule: "minimum", message: "must have a minimum value of 0" }
+ */
+
+function describeError(err) {
+  const path = err.property.replace(/^instance\.?/, "");
+  const within = name => (path ? `${path}.${name}` : name);
+
+  switch (err.name) {
+    case "required":
+      return { field: within(err.argument), rule: "required", message: "is required" };
+    case "additionalProperties":
+      return { field: within(err.argument), rule: "additionalProperties", message: "is not allowed" };
+    case "ranges":
+      return { field: within(err.argument.min), rule: "ranges", message: err.message };
+    default:
+      return { field: path, rule: err.name, message: err.message };
+  }
+}
+
+module.exports = { validate, coerceStrings, applyDefaults, describeError };
@@ -0,0 +1,107 @@
+const { validate, coerceStrings, applyDefaults, describeError } = require("./schemaValidator");
+
+describe("ranges keyword", () => {
+    const schema = {
+        type: "object",
+        properties: { low: { type: ["number", "null"] }, high: { type: ["number", "null"] } },
+        ranges: [{ min: "low", max: "high" }],
+    };
+
+    it("passes ranges in order, or with an end left out", () => {
+        expect(validate({ low: 1, high: 2 }, schema).valid).toBe(true);
+        expect(validate({ low: 2, high: 2 }, schema).valid).toBe(true);
+        expect(validate({ high: 2 }, schema).valid).toBe(true);
+        expect(validate({ low: 5, high: null }, schema).valid).toBe(true);
+    });
+
+    it("fails when min is greater than max", () => {
+        const result = validate({ low: 3, high: 2 }, schema);
+        expect(result.valid).toBe(false);
+        expect(result.errors.map(e => e.stack)).toEqual(["instance low cannot be greater than high"]);
+    });
+})
+
+describe("coerceStrings", () => {
+    const schema = {
+        properties: {
+            minEquity: { type: "number" },
+            limit: { type: "integer" },
+            hasEquity: { type: "boolean" },
+        },
+    };
+
+    it("converts values to the schema's types", () => {
+        expect(coerceStrings({ minEquity: "0.5", limit: "10", hasEquity: "false", title: "10" }, schema))
+            .toEqual({ minEquity: 0.5, limit: 10, hasEquity: false, title: "10" });
+    });
+
+    it("leaves values that don't fit for the schema to reject", () => {
+        expect(coerceStrings({ minEquity: "lots", limit: "", hasEquity: "yes" }, schema))
+            .toEqual({ minEquity: "lots", limit: "", hasEquity: "yes" });
+    });
+})
+
+describe("applyDefaults", () => {
+    const schema = {
+        properties: {
+            payPeriod: { type: "string", default: "yearly" },
+            title: { type: "string" },
+        },
+    };
+
+    it("fills in defaults for properties left out", () => {
+        expect(applyDefaults({ title: "t" }, schema)).toEqual({ title: "t", payPeriod: "yearly" });
+    });
+
+    it("keeps values that are given", () => {
+        expect(applyDefaults({ payPeriod: "hourly" }, schema)).toEqual({ payPeriod: "hourly" });
+    });
+})
+
+describe("describeError", () => {
+    const schema = {
+        type: "object",
+        properties: {
+            title: { type: "string" },
+            answers: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: { answer: { type: "string", minLength: 1 } },
+                    additionalProperties: false,
+                },
+            },
+            low: { type: "number" },
+            high: { type: "number" },
+        },
+        required: ["title"],
+        additionalProperties: false,
+        ranges: [{ min: "low", max: "high" }],
+    };
+    const errorsFor = instance => validate(instance, schema).errors.map(describeError);
+
+    it("names the field and rule that failed", () => {
+        expect(errorsFor({ title: 5 })).toEqual([
+            { field: "title", rule: "type", message: "is not of a type(s) string" },
+        ]);
+        expect(errorsFor({ title: "t", answers: [{ answer: "" }] })).toEqual([
+            { field: "answers[0].answer", rule: "minLength", message: "does not meet minimum length of 1" },
+        ]);
+    });
+
+    it("names missing and unknown properties", () => {
+        expect(errorsFor({ titel: "t" })).toEqual([
+            { field: "title", rule: "required", message: "is required" },
+            { field: "titel", rule: "additionalProperties", message: "is not allowed" },
+        ]);
+        expect(errorsFor({ title: "t", answers: [{ nope: "x" }] })).toEqual([
+            { field: "answers[0].nope", rule: "additionalProperties", message: "is not allowed" },
+        ]);
+    });
+
+    it("names the low end of an inverted range", () => {
+        expect(errorsFor({ title: "t", low: 3, high: 2 })).toEqual([
+            { field: "low", rule: "ranges", message: "low cannot be greater than high" },
+        ]);
+    });
+})
@@ -0,0 +1,60 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { RESUME_STORAGE_DIR } = require("../config");
+
+/** Storage driver that keeps files on the local filesystem, under `dir`.
+ *
+ * Any storage driver needs the same three async methods:
+ *   save(key, data), read(key) => Buffer, remove(key)
+ * where key is a relative path like "username/file.pdf".
+ */
+
+class LocalStorage {
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+  }
+
+  /** Turn a key into a path, making sure it can't escape the storage dir. */
+
+  pathFor(key) {
+    const fullPath = path.resolve(this.dir, key);
+    if (!fullPath.startsWith(this.dir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return fullPath;
+  }
+
+  async save(key, data) {
+    const fullPath = this.pathFor(key);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, data);
+  }
+
+  async read(key) {
+    return await fs.readFile(this.pathFor(key));
+  }
+
+  async remove(key) {
+    await fs.rm(this.pathFor(key), { force: true });
+  }
+}
+
+let storage = new LocalStorage(RESUME_STORAGE_DIR);
+
+/** Return the storage driver files are currently kept in. */
+
+function getStorage() {
+  return storage;
+}
+
+/** Swap in a different storage driver (for example, one backed by S3). */
+
+function setStorage(driver) {
+  storage = driver;
+}
+
+module.exports = {
+  LocalStorage,
+  getStorage,
+  setStorage,
+};
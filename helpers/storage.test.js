@@ -0,0 +1,34 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { LocalStorage, getStorage, setStorage } = require("./storage");
+
+describe("LocalStorage", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "jobly-storage-"));
+    const storage = new LocalStorage(dir);
+
+    afterAll(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("saves, reads and removes files", async () => {
+        await storage.save("u1/cv.pdf", Buffer.from("%PDF-1.4"));
+        expect((await storage.read("u1/cv.pdf")).toString()).toEqual("%PDF-1.4");
+        await storage.remove("u1/cv.pdf");
+        await expect(storage.read("u1/cv.pdf")).rejects.toThrow();
+    });
+
+    it("rejects keys outside the storage directory", async () => {
+        await expect(storage.save("../escape.pdf", Buffer.from(""))).rejects.toThrow();
+    });
+})
+
+describe("setStorage", () => {
+    it("swaps the storage driver", () => {
+        const original = getStorage();
+        const driver = { save: jest.fn(), read: jest.fn(), remove: jest.fn() };
+        setStorage(driver);
+        expect(getStorage()).toBe(driver);
+        setStorage(original);
+    });
+})
@@ -1,7 +1,12 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { SECRET_KEY, ACCESS_TOKEN_TTL_SECONDS } = require("../config");
 
-/** return signed JWT from user data. */
+/** return signed JWT from user data; it expires after ACCESS_TOKEN_TTL_SECONDS.
+ *
+ * The token carries the user's tokenVersion (0 if not given); it stops
+ * working once that changes (see authenticateJWT).
+ */
 
 function createToken(user) {
   console.assert(user.isAdmin !== undefined,
@@ -10,9 +15,27 @@ function createToken(user) {
   let payload = {
     username: user.username,
     isAdmin: user.isAdmin || false,
+    tokenVersion: user.tokenVersion || 0,
   };
 
-  return jwt.sign(payload, SECRET_KEY);
+  return jwt.sign(payload, SECRET_KEY, { expiresIn: ACCESS_TOKEN_TTL_SECONDS });
 }
 
-module.exports = { createToken };
+/** return a new random token, for refresh and password reset tokens.
+ * It's only ever stored hashed. */
+
+function createRandomToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/** return the hash a random token is stored and looked up by.
+ *
+ * The tokens are long and random, so a plain SHA-256 is enough; there's
+ * no password to guess.
+ */
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+module.exports = { createToken, createRandomToken, hashToken };
@@ -1,6 +1,6 @@
 const jwt = require("jsonwebtoken");
-const { createToken } = require("./tokens");
-const { SECRET_KEY } = require("../config");
+const { createToken, createRandomToken, hashToken } = require("./tokens");
+const { SECRET_KEY, ACCESS_TOKEN_TTL_SECONDS } = require("../config");
 
 describe("createToken", function () {
   test("works: not admin", function () {
@@ -8,6 +8,8 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      tokenVersion: 0,
       username: "test",
       isAdmin: false,
     });
@@ -18,6 +20,8 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      tokenVersion: 0,
       username: "test",
       isAdmin: true,
     });
@@ -29,8 +33,38 @@ describe("createToken", function () {
     const payload = jwt.verify(token, SECRET_KEY);
     expect(payload).toEqual({
       iat: expect.any(Number),
+      exp: expect.any(Number),
+      tokenVersion: 0,
       username: "test",
       isAdmin: false,
     });
   });
+
+  test("works: token version", function () {
+    const token = createToken({ username: "test", isAdmin: false, tokenVersion: 3 });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.tokenVersion).toEqual(3);
+  });
+
+  test("expires", function () {
+    const token = createToken({ username: "test", isAdmin: false });
+    const payload = jwt.verify(token, SECRET_KEY);
+    expect(payload.exp - payload.iat).toEqual(ACCESS_TOKEN_TTL_SECONDS);
+  });
+});
+
+describe("createRandomToken", function () {
+  test("works", function () {
+    const token = createRandomToken();
+    expect(token).toMatch(/^[\w-]{43}$/);
+    expect(createRandomToken()).not.toEqual(token);
+  });
+});
+
+describe("hashToken", function () {
+  test("works", function () {
+    expect(hashToken("abc")).toEqual(hashToken("abc"));
+    expect(hashToken("abc")).not.toEqual(hashToken("abd"));
+    expect(hashToken("abc")).not.toContain("abc");
+  });
 });
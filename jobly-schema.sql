@@ -3,9 +3,15 @@ CREATE TABLE companies (
   name TEXT UNIQUE NOT NULL,
   num_employees INTEGER CHECK (num_employees >= 0),
   description TEXT NOT NULL,
-  logo_url TEXT
+  logo_url TEXT,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', name), 'A') ||
+    setweight(to_tsvector('english', description), 'B')
+  ) STORED
 );
 
+CREATE INDEX companies_search_idx ON companies USING GIN (search_vector);
+
 CREATE TABLE users (
   username VARCHAR(25) PRIMARY KEY,
   password TEXT NOT NULL,
@@ -13,22 +19,145 @@ CREATE TABLE users (
   last_name TEXT NOT NULL,
   email TEXT NOT NULL
     CHECK (position('@' IN email) > 1),
-  is_admin BOOLEAN NOT NULL DEFAULT FALSE
+  is_admin BOOLEAN NOT NULL DEFAULT FALSE,
+  token_version INTEGER NOT NULL DEFAULT 0,
+  email_verified BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+CREATE TABLE resumes (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  version INTEGER NOT NULL CHECK (version > 0),
+  filename TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  size INTEGER NOT NULL CHECK (size >= 0),
+  storage_key TEXT NOT NULL,
+  uploaded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (username, version)
 );
 
 CREATE TABLE jobs (
   id SERIAL PRIMARY KEY,
   title TEXT NOT NULL,
-  salary INTEGER CHECK (salary >= 0),
+  salary_min INTEGER CHECK (salary_min >= 0),
+  salary_max INTEGER CHECK (salary_max >= 0),
+  pay_period TEXT NOT NULL DEFAULT 'yearly'
+    CHECK (pay_period IN ('hourly', 'yearly')),
   equity NUMERIC CHECK (equity <= 1.0),
   company_handle VARCHAR(25) NOT NULL
-    REFERENCES companies ON DELETE CASCADE
+    REFERENCES companies ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('draft', 'open', 'closed')),
+  posted_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  closes_at TIMESTAMPTZ,
+  publish_at TIMESTAMPTZ,
+  CONSTRAINT jobs_salary_range_check CHECK (salary_min <= salary_max),
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', title), 'A')
+  ) STORED
 );
 
+CREATE INDEX jobs_search_idx ON jobs USING GIN (search_vector);
+
+CREATE INDEX jobs_scheduled_publish_idx ON jobs (publish_at)
+  WHERE status = 'draft';
+
 CREATE TABLE applications (
   username VARCHAR(25)
     REFERENCES users ON DELETE CASCADE,
   job_id INTEGER
     REFERENCES jobs ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'applied'
+    CHECK (status IN ('applied', 'screening', 'interviewing', 'offered',
+                      'hired', 'rejected', 'withdrawn')),
+  cover_letter TEXT,
+  resume_id INTEGER
+    REFERENCES resumes ON DELETE SET NULL,
+  answers JSONB,
+  applied_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  withdrawn_at TIMESTAMPTZ,
+  withdrawal_reason TEXT,
   PRIMARY KEY (username, job_id)
 );
+
+CREATE TABLE application_events (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL,
+  job_id INTEGER NOT NULL,
+  event TEXT NOT NULL
+    CHECK (event IN ('applied', 'status_changed', 'withdrawn')),
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  changed_by VARCHAR(25)
+    REFERENCES users ON DELETE SET NULL,
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (username, job_id)
+    REFERENCES applications ON DELETE CASCADE
+);
+
+CREATE TABLE screening_questions (
+  id SERIAL PRIMARY KEY,
+  job_id INTEGER NOT NULL
+    REFERENCES jobs ON DELETE CASCADE,
+  text TEXT NOT NULL,
+  type TEXT NOT NULL
+    CHECK (type IN ('boolean', 'number', 'choice', 'text')),
+  choices JSONB,
+  required BOOLEAN NOT NULL DEFAULT FALSE,
+  knockout_answer JSONB
+);
+
+CREATE TABLE refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  family_id UUID NOT NULL,
+  token_version INTEGER NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  revoked_at TIMESTAMP
+);
+
+CREATE INDEX refresh_tokens_family_idx ON refresh_tokens (family_id);
+
+CREATE TABLE password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+CREATE TABLE email_verification_tokens (
+  id SERIAL PRIMARY KEY,
+  username VARCHAR(25) NOT NULL
+    REFERENCES users ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP
+);
+
+CREATE TABLE email_outbox (
+  id SERIAL PRIMARY KEY,
+  recipient TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  text_body TEXT NOT NULL,
+  html_body TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_error TEXT,
+  sent_at TIMESTAMP,
+  failed_at TIMESTAMP
+);
+
+CREATE INDEX email_outbox_due_idx ON email_outbox (next_attempt_at)
+  WHERE sent_at IS NULL AND failed_at IS NULL;
@@ -161,7 +161,7 @@ VALUES ('bauer-gallagher', 'Bauer-Gallagher', 862,
        ('weber-hernandez', 'Weber-Hernandez', 681,
         'Contain product south picture scientist.', '/logos/logo4.png');
 
-INSERT INTO jobs (title, salary, equity, company_handle)
+INSERT INTO jobs (title, salary_min, equity, company_handle)
 VALUES ('Conservator, furniture', 110000, 0, 'watson-davis'),
        ('Information officer', 200000, 0, 'hall-mills'),
        ('Consulting civil engineer', 60000, 0, 'sellers-bryant'),
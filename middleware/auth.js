@@ -5,6 +5,7 @@
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
 const { UnauthorizedError } = require("../expressError");
+const User = require("../models/user");
 
 
 /** Middleware: Authenticate user.
@@ -12,20 +13,33 @@ const { UnauthorizedError } = require("../expressError");
  * If a token was provided, verify it, and, if valid, store the token payload
  * on res.locals (this will include the username and isAdmin field.)
  *
+ * A token is only valid while its tokenVersion is still the user's: changing
+ * their password or isAdmin, or signing them out everywhere, ends it.
+ *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
+  const authHeader = req.headers && req.headers.authorization;
+  if (!authHeader) return next();
+
+  let payload;
   try {
-    const authHeader = req.headers && req.headers.authorization;
-    if (authHeader) {
-      const token = authHeader.replace(/^[Bb]earer /, "").trim();
-      res.locals.user = jwt.verify(token, SECRET_KEY);
-    }
-    return next();
+    const token = authHeader.replace(/^[Bb]earer /, "").trim();
+    payload = jwt.verify(token, SECRET_KEY);
   } catch (err) {
     return next();
   }
+
+  try {
+    const tokenVersion = await User.getTokenVersion(payload.username);
+    if (tokenVersion !== null && tokenVersion === (payload.tokenVersion || 0)) {
+      res.locals.user = payload;
+    }
+  } catch (err) {
+    return next(err);
+  }
+  return next();
 }
 
 /** Middleware to use when they must be logged in.
@@ -57,9 +71,26 @@ function isAdmin(req,res,next) {
   }
 }
 
+/** Middleware to use when they must be the user named in the route, or an admin.
+ *
+ * If not, raises Unauthorized.
+ */
+function ensureCorrectUserOrAdmin(req, res, next) {
+  try {
+    const user = res.locals.user;
+    if (!(user && (user.isAdmin || user.username === req.params.username))) {
+      throw new UnauthorizedError();
+    }
+    return next();
+  } catch (err) {
+    return next(err);
+  }
+}
+
 
 module.exports = {
   authenticateJWT,
   ensureLoggedIn,
-  isAdmin
+  isAdmin,
+  ensureCorrectUserOrAdmin
 };
@@ -6,16 +6,31 @@ const {
   authenticateJWT,
   ensureLoggedIn,
   isAdmin,
+  ensureCorrectUserOrAdmin,
 } = require("./auth");
+const User = require("../models/user");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("../models/_testCommon");
 
 
 const { SECRET_KEY } = require("../config");
-const testJwt = jwt.sign({ username: "test", isAdmin: false }, SECRET_KEY);
+const testJwt = jwt.sign({ username: "u1", isAdmin: false }, SECRET_KEY);
 const badJwt = jwt.sign({ username: "test", isAdmin: false }, "wrong");
+const expiredJwt = jwt.sign(
+    { username: "test", isAdmin: false, exp: Math.floor(Date.now() / 1000) - 60 }, SECRET_KEY);
 
 
 describe("authenticateJWT", function () {
-  test("works: via header", function () {
+  beforeAll(commonBeforeAll);
+  beforeEach(commonBeforeEach);
+  afterEach(commonAfterEach);
+  afterAll(commonAfterAll);
+
+  test("works: via header", async function () {
     expect.assertions(2);
      //there are multiple ways to pass an authorization token, this is how you pass it in the header.
     //this has been provided to show you another way to pass the token. you are only expected to read this code for this project.
@@ -24,35 +39,79 @@ describe("authenticateJWT", function () {
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({
       user: {
         iat: expect.any(Number),
-        username: "test",
+        username: "u1",
         isAdmin: false,
       },
     });
   });
 
-  test("works: no header", function () {
+  test("works: no header", async function () {
     expect.assertions(2);
     const req = {};
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 
-  test("works: invalid token", function () {
+  test("works: invalid token", async function () {
     expect.assertions(2);
     const req = { headers: { authorization: `Bearer ${badJwt}` } };
     const res = { locals: {} };
     const next = function (err) {
       expect(err).toBeFalsy();
     };
-    authenticateJWT(req, res, next);
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: expired token", async function () {
+    expect.assertions(2);
+    const req = { headers: { authorization: `Bearer ${expiredJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: user signed out everywhere", async function () {
+    expect.assertions(2);
+    await User.signOutEverywhere("u1");
+    const req = { headers: { authorization: `Bearer ${testJwt}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
+    expect(res.locals).toEqual({});
+  });
+
+  test("works: token for current version", async function () {
+    const tokenVersion = await User.signOutEverywhere("u1");
+    const token = jwt.sign({ username: "u1", isAdmin: false, tokenVersion }, SECRET_KEY);
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = { locals: {} };
+    await authenticateJWT(req, res, () => {});
+    expect(res.locals.user).toEqual(expect.objectContaining({ username: "u1", tokenVersion }));
+  });
+
+  test("works: user no longer exists", async function () {
+    expect.assertions(2);
+    const token = jwt.sign({ username: "nope", isAdmin: false }, SECRET_KEY);
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    await authenticateJWT(req, res, next);
     expect(res.locals).toEqual({});
   });
 });
@@ -108,4 +167,46 @@ describe("isAdmin", function() {
     };
     isAdmin(req, res, next);
   });
-});
\ No newline at end of file
+});
+
+describe("ensureCorrectUserOrAdmin", function () {
+  test("works: same user", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "test", isAdmin: false } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
+  });
+
+  test("works: admin", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "admin", isAdmin: true } } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
+  });
+
+  test("unauth if other user", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: { user: { username: "other", isAdmin: false } } };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
+  });
+
+  test("unauth if anon", function () {
+    expect.assertions(1);
+    const req = { params: { username: "test" } };
+    const res = { locals: {} };
+    const next = function (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    };
+    ensureCorrectUserOrAdmin(req, res, next);
+  });
+});
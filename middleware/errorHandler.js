@@ -0,0 +1,86 @@
+"use strict";
+
+/** Middleware for sending errors to clients. */
+
+const { STATUS_CODES } = require("http");
+const { ExpressError } = require("../expressError");
+const { fromDbError } = require("../helpers/dbErrors");
+
+const PROBLEM_JSON = "application/problem+json";
+
+/** The error code for a status with no more specific one: 413 => "PAYLOAD_TOO_LARGE". */
+
+function codeForStatus(status) {
+  return (STATUS_CODES[status] || "Error").toUpperCase().replace(/[^A-Z]+/g, "_");
+}
+
+/** Turn anything thrown in a route into an ExpressError.
+ *
+ * Database errors go through fromDbError; errors from express and its
+ * middleware (like a malformed JSON body) keep their status; anything else
+ * is a 500.
+ */
+
+function toExpressError(err) {
+  if (err instanceof ExpressError) return err;
+
+  const dbError = fromDbError(err);
+  if (dbError) return dbError;
+
+  const status = err.status || err.statusCode || 500;
+  return new ExpressError(err.message, status, codeForStatus(status));
+}
+
+/** The RFC 7807 problem details for an error:
+ *
+ *   { type, title, status, detail, instance, code, key, errors }
+ *
+ * where type is a URI naming the kind of error (from its code), title the
+ * standard text for the status, instance the path of the request, and
+ * key (see ConflictError) and errors are left out unless the error has them.
+ */
+
+function problemFor(err, req) {
+  const problem = {
+    type: `urn:jobly:error:${err.code.toLowerCase().replace(/_/g, "-")}`,
+    title: STATUS_CODES[err.status] || "Error",
+    status: err.status,
+    detail: err.message,
+    instance: req.originalUrl,
+    code: err.code,
+  };
+  if (err.key) problem.key = err.key;
+  if (err.errors) problem.errors = err.errors;
+  return problem;
+}
+
+/** Error-handling middleware: send err to the client.
+ *
+ * Clients that ask for application/problem+json get problem details (see
+ * problemFor); everyone else gets
+ *
+ *   { error: { message, status, code, key, errors } }
+ *
+ * with key and errors left out unless the error has them.
+ */
+
+function handleErrors(err, req, res, next) {
+  if (process.env.NODE_ENV !== "test") console.error(err.stack);
+  const error = toExpressError(err);
+
+  if (req.accepts(["application/json", PROBLEM_JSON]) === PROBLEM_JSON) {
+    return res.status(error.status).type(PROBLEM_JSON).json(problemFor(error, req));
+  }
+
+  const { message, status, code, key, errors } = error;
+  const body = { message, status, code };
+  if (key) body.key = key;
+  if (errors) body.errors = errors;
+  return res.status(status).json({ error: body });
+}
+
+module.exports = {
+  toExpressError,
+  problemFor,
+  handleErrors,
+};
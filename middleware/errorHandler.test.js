@@ -0,0 +1,55 @@
+"use strict";
+
+const { NotFoundError, ExpressError, BadRequestError } = require("../expressError");
+const { toExpressError, problemFor } = require("./errorHandler");
+
+
+describe("toExpressError", function () {
+  test("keeps ExpressErrors", function () {
+    const err = new NotFoundError();
+    expect(toExpressError(err)).toBe(err);
+  });
+
+  test("converts database errors", function () {
+    const err = toExpressError({ code: "23505", detail: "Key (handle)=(c1) already exists." });
+    expect(err.status).toEqual(409);
+    expect(err.code).toEqual("CONFLICT");
+  });
+
+  test("keeps the status of other errors", function () {
+    const err = new Error("request entity too large");
+    err.status = 413;
+    expect(toExpressError(err)).toEqual(expect.objectContaining({
+      message: "request entity too large", status: 413, code: "PAYLOAD_TOO_LARGE",
+    }));
+  });
+
+  test("500 for anything else", function () {
+    const err = toExpressError(new Error("oops"));
+    expect(err instanceof ExpressError).toBeTruthy();
+    expect(err.status).toEqual(500);
+    expect(err.code).toEqual("INTERNAL_SERVER_ERROR");
+  });
+});
+
+
+describe("problemFor", function () {
+  test("works", function () {
+    const req = { originalUrl: "/jobs/1" };
+    expect(problemFor(new NotFoundError("No job: 1"), req)).toEqual({
+      type: "urn:jobly:error:not-found",
+      title: "Not Found",
+      status: 404,
+      detail: "No job: 1",
+      instance: "/jobs/1",
+      code: "NOT_FOUND",
+    });
+  });
+
+  test("includes field errors", function () {
+    const errors = [{ field: "title", rule: "required", message: "is required" }];
+    const problem = problemFor(new BadRequestError("Invalid request body", errors), {});
+    expect(problem.errors).toEqual(errors);
+    expect(problem.type).toEqual("urn:jobly:error:bad-request");
+  });
+});
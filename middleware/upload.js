@@ -0,0 +1,33 @@
+"use strict";
+
+/** Middleware for handling file uploads. */
+
+const multer = require("multer");
+const { RESUME_MAX_BYTES } = require("../config");
+const { BadRequestError } = require("../expressError");
+
+const resumeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: RESUME_MAX_BYTES, files: 1 },
+}).single("resume");
+
+/** Middleware: read a single résumé file from a multipart "resume" field.
+ *
+ * The file is kept in memory and put on req.file as
+ * { originalname, mimetype, size, buffer }.
+ *
+ * Raises BadRequest if the upload is too large, malformed, or missing.
+ */
+
+function uploadResume(req, res, next) {
+  resumeUpload(req, res, function (err) {
+    // with the file kept in memory, any error here is a problem with the upload itself
+    if (err) return next(new BadRequestError(err.message));
+    if (!req.file) return next(new BadRequestError('No file sent in "resume" field'));
+    return next();
+  });
+}
+
+module.exports = {
+  uploadResume,
+};
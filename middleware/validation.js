@@ -0,0 +1,69 @@
+"use strict";
+
+/** Middleware for validating requests against JSON schemas. */
+
+const { BadRequestError } = require("../expressError");
+const {
+  validate: validateSchema,
+  coerceStrings,
+  applyDefaults,
+  describeError,
+} = require("../helpers/schemaValidator");
+
+/** What each part of the request is called in error messages. */
+
+const SOURCES = {
+  body: "request body",
+  query: "query string",
+  params: "route parameters",
+};
+
+/** Middleware: check one part of the request against schema.
+ *
+ * source is "body" (the default), "query" or "params". Query strings and
+ * route params only hold strings, so their numbers and booleans are converted
+ * first (see coerceStrings). Properties left out are filled in from the
+ * schema's defaults, and req[source] is replaced with the result.
+ *
+ * Raises BadRequest on values that don't match the schema, with
+ * err.errors listing what is wrong as [{ field, rule, message }, ...].
+ * Unknown query parameters are named in the message, along with the ones
+ * the schema allows.
+ */
+
+function validate(schema, { source = "body" } = {}) {
+  if (!SOURCES[source]) throw new Error(`Cannot validate request ${source}`);
+  const allowed = Object.keys(schema.properties || {});
+
+  return function (req, res, next) {
+    try {
+      let data = req[source] === undefined ? {} : req[source];
+      if (source !== "body") data = coerceStrings(data, schema);
+      if (data && typeof data === "object" && !Array.isArray(data)) {
+        data = applyDefaults(data, schema);
+      }
+
+      const result = validateSchema(data, schema);
+      if (!result.valid) {
+        const errors = result.errors.map(describeError);
+        const unknown = errors
+            .filter(e => e.rule === "additionalProperties" && !e.field.includes("."))
+            .map(e => e.field);
+
+        const message = (source === "query" && unknown.length)
+            ? `Unknown query parameter(s): ${unknown.join(", ")}; allowed: ${allowed.join(", ")}`
+            : `Invalid ${SOURCES[source]}`;
+        throw new BadRequestError(message, errors);
+      }
+
+      req[source] = data;
+      return next();
+    } catch (err) {
+      return next(err);
+    }
+  };
+}
+
+module.exports = {
+  validate,
+};
@@ -0,0 +1,112 @@
+"use strict";
+
+const { BadRequestError } = require("../expressError");
+const { validate } = require("./validation");
+
+const schema = {
+  type: "object",
+  properties: {
+    name: { type: "string" },
+    minEmployees: { type: "integer", minimum: 0 },
+    hasEquity: { type: "boolean" },
+  },
+  additionalProperties: false,
+};
+
+const bodySchema = {
+  type: "object",
+  properties: {
+    title: { type: "string", minLength: 1 },
+    payPeriod: { type: "string", enum: ["hourly", "yearly"], default: "yearly" },
+  },
+  required: ["title"],
+  additionalProperties: false,
+};
+
+
+describe("validate", function () {
+  test("works: checks the body, filling in defaults", function () {
+    expect.assertions(2);
+    const req = { body: { title: "t" } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    validate(bodySchema)(req, {}, next);
+    expect(req.body).toEqual({ title: "t", payPeriod: "yearly" });
+  });
+
+  test("bad request on an invalid body, listing what is wrong", function () {
+    expect.assertions(3);
+    const req = { body: { payPeriod: "weekly" } };
+    const next = function (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("Invalid request body");
+      expect(err.errors).toEqual([
+        { field: "payPeriod", rule: "enum", message: "is not one of enum values: hourly,yearly" },
+        { field: "title", rule: "required", message: "is required" },
+      ]);
+    };
+    validate(bodySchema)(req, {}, next);
+  });
+
+  test("works: converts and replaces the query", function () {
+    expect.assertions(2);
+    const req = { query: { name: "c", minEmployees: "2", hasEquity: "true" } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    validate(schema, { source: "query" })(req, {}, next);
+    expect(req.query).toEqual({ name: "c", minEmployees: 2, hasEquity: true });
+  });
+
+  test("bad request on invalid query values", function () {
+    expect.assertions(3);
+    const req = { query: { minEmployees: "abc" } };
+    const next = function (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.errors).toEqual([
+        { field: "minEmployees", rule: "type", message: "is not of a type(s) integer" },
+      ]);
+    };
+    validate(schema, { source: "query" })(req, {}, next);
+    expect(req.query).toEqual({ minEmployees: "abc" });
+  });
+
+  test("bad request on unknown query parameters, naming the allowed ones", function () {
+    expect.assertions(3);
+    const req = { query: { name: "c", nmae: "c" } };
+    const next = function (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual(
+          "Unknown query parameter(s): nmae; allowed: name, minEmployees, hasEquity");
+      expect(err.errors).toEqual([
+        { field: "nmae", rule: "additionalProperties", message: "is not allowed" },
+      ]);
+    };
+    validate(schema, { source: "query" })(req, {}, next);
+  });
+
+  test("works: converts route params", function () {
+    expect.assertions(2);
+    const req = { params: { minEmployees: "7" } };
+    const next = function (err) {
+      expect(err).toBeFalsy();
+    };
+    validate(schema, { source: "params" })(req, {}, next);
+    expect(req.params).toEqual({ minEmployees: 7 });
+  });
+
+  test("bad request on invalid route params", function () {
+    expect.assertions(2);
+    const req = { params: { minEmployees: "-1" } };
+    const next = function (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("Invalid route parameters");
+    };
+    validate(schema, { source: "params" })(req, {}, next);
+  });
+
+  test("throws on an unknown source", function () {
+    expect(() => validate(schema, { source: "headers" })).toThrow();
+  });
+});
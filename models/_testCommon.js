@@ -34,24 +34,32 @@ await db.query('DELETE FROM applications');
       ]);
 
 await db.query(`
-        INSERT INTO jobs(title, salary, equity, company_handle)
+        INSERT INTO jobs(title, salary_min, equity, company_handle)
         VALUES ('Job1', 100000, 0.01, 'c1'),
                ('Job2', 80000, 0.02, 'c3'),
                ('Job3', 120000, 0, 'c3')`);
+
+  await db.query(`
+        INSERT INTO applications(username, job_id)
+        VALUES ('u1', 2)`);
+
+  await db.query(`
+        INSERT INTO screening_questions(job_id, text, type, required, knockout_answer)
+        VALUES (1, 'Years of Node experience?', 'number', FALSE, NULL),
+               (1, 'Are you authorized to work in the US?', 'boolean', FALSE, 'false')`);
 }
 
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  await db.beginTestTransaction();
 }
 
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
-  await db.query("BEGIN");
+  await db.rollbackTestTransaction();
 }
 
 async function commonAfterAll() {
   try {
-    await db.query("ROLLBACK");
+    await db.rollbackTestTransaction();
   } finally {
     await db.end();
   }
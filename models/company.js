@@ -3,6 +3,16 @@
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { parsePage, parseSort, sqlForPage, paginate } = require("../helpers/pagination");
+
+/** Fields companies can be sorted by (see parseSort); handle breaks ties.
+ * Companies with no employee count listed sort lowest. */
+
+const COMPANY_SORTS = {
+  name: { column: "name", key: "name", type: "text" },
+  handle: { column: "handle", key: "handle", type: "text" },
+  numEmployees: { column: "COALESCE(num_employees, -1)", key: "numEmployees", ifNull: -1, type: "integer" },
+};
 
 /** Related functions for companies. */
 
@@ -13,19 +23,12 @@ class Company {
    *
    * Returns { handle, name, description, numEmployees, logoUrl }
    *
-   * Throws BadRequestError if company already in database.
+   * A company with a handle or name that's taken fails the table's unique
+   * keys, which the error handler turns into a 409 (see helpers/dbErrors.js).
    * */
 
   static async create({ handle, name, description, numEmployees, logoUrl }) {
-    const duplicateCheck = await db.query(
-          `SELECT handle
-           FROM companies
-           WHERE handle = $1`,
-        [handle]);
-
-    if (duplicateCheck.rows[0])
-      throw new BadRequestError(`Duplicate company: ${handle}`);
-
+    // the table's unique keys catch duplicates, even ones created concurrently
     const result = await db.query(
           `INSERT INTO companies
            (handle, name, description, num_employees, logo_url)
@@ -61,58 +64,98 @@ class Company {
     return companiesRes.rows;
   }
 
-  /** Find companies based on criteria passed in a query string.
+  /** Find companies based on criteria passed in a query string, one page at a time.
    * 
-   * Returns [{handle, name, description, etc}] that match the entered query of (name, min Employees, or maxEmployes, or all)
+   * Filters on (name, minEmployees, maxEmployees, or all); page is
+   * { limit, offset, cursor } as taken by parsePage in helpers/pagination.js.
+   *
+   * q is a full-text search over name and description (names count for more);
+   * it understands quotes, "or" and "-word" like web search engines do.
+   *
+   * sort is a list of fields like "-numEmployees,name" (see parseSort);
+   * companies can be sorted by name (the default), handle or numEmployees,
+   * and with q, by relevance (then the default is most relevant first).
+   *
+   * Returns { companies, page }
+   *   where companies is [{ handle, name, description, numEmployees, logoUrl }, ...]
+   *   and page is { total, limit, offset, next, prev }
    */
 
-  static async findByCriteria({ name, minEmployees, maxEmployees }) {
+  static async findByCriteria({ q, name, minEmployees, maxEmployees, sort }, page = {}) {
     // Validate minEmployees and maxEmployees
-    if (minEmployees && maxEmployees && minEmployees > maxEmployees) {
+    if (minEmployees !== undefined && maxEmployees !== undefined && minEmployees > maxEmployees) {
       throw new BadRequestError('minEmployees cannot be greater than maxEmployees');
     }
+    const pageReq = parsePage(page);
   
-    let query = `
-      SELECT handle,
-             name,
-             description,
-             num_employees AS "numEmployees",
-             logo_url AS "logoUrl"
-      FROM companies`;
-  
+    const whereExpressions = [];
     const values = [];
+    let sortable = COMPANY_SORTS;
+    let rankSql = null;
+
+    // if ?q= in the URL, only find companies matching the search, and allow sorting by how well they match
+    if (q) {
+      values.push(q);
+      whereExpressions.push(`search_vector @@ websearch_to_tsquery('english', $${values.length})`);
+      rankSql = `ts_rank(search_vector, websearch_to_tsquery('english', $${values.length}))`;
+      sortable = { ...COMPANY_SORTS, relevance: { column: rankSql, key: "relevance", type: "number" } };
+    }
+    const orderBy = parseSort(sort || (q ? "-relevance" : "name"), sortable, "handle");
   
     // if ?name= in the URL, where the value is in any name, push the company to the values array
     if (name) {
-      query += `
-        WHERE name ILIKE $1`;
       values.push(`%${name}%`);
+      whereExpressions.push(`name ILIKE $${values.length}`);
     }
   
-    // if name has a value and minEmployees have a value, or name does not have a value, look for where number of employees is greater than or equal to the value that is entered
-    if (minEmployees) {
-      query += `
-        ${name ? 'AND' : 'WHERE'} num_employees >= $${values.length + 1}`;
+    // if minEmployees has a value, look for where number of employees is greater than or equal to the value that is entered
+    if (minEmployees !== undefined) {
       values.push(minEmployees);
+      whereExpressions.push(`num_employees >= $${values.length}`);
     }
   
-    // if name has a value, minEmployees, and maxEmployees have a value, or name/ minEmployees do not have a value, look for where number of employees is less than or equal to the value that is entered
-    if (maxEmployees) {
-      query += `
-        ${name || minEmployees ? 'AND' : 'WHERE'} num_employees <= $${values.length + 1}`;
+    // if maxEmployees has a value, look for where number of employees is less than or equal to the value that is entered
+    if (maxEmployees !== undefined) {
       values.push(maxEmployees);
+      whereExpressions.push(`num_employees <= $${values.length}`);
+    }
+
+    const filterSql = whereExpressions.length
+        ? `WHERE ${whereExpressions.join(" AND ")}`
+        : "";
+    const countRes = await db.query(
+          `SELECT COUNT(*) AS "total" FROM companies ${filterSql}`,
+        values);
+
+    const pageSql = sqlForPage(pageReq, orderBy, values);
+    if (pageSql.where) whereExpressions.push(pageSql.where);
+
+    let query = `
+      SELECT handle,
+             name,
+             description,
+             num_employees AS "numEmployees",
+             logo_url AS "logoUrl"
+             ${rankSql ? `, ${rankSql} AS "relevance"` : ""}
+      FROM companies`;
+
+    if (whereExpressions.length > 0) {
+      query += `
+      WHERE ${whereExpressions.join(" AND ")}`;
     }
   
     query += `
-      ORDER BY name`;
+      ${pageSql.orderBy}
+      ${pageSql.limit}`;
   
     const companiesRes = await db.query(query, values);
-  
-    return companiesRes.rows;
-  }
-  
-
 
+    const { rows, page: resultPage } = paginate(
+        companiesRes.rows, pageReq, Number(countRes.rows[0].total), orderBy);
+    // relevance was only needed for sorting and cursors
+    const companies = rows.map(({ relevance, ...company }) => company);
+    return { companies, page: resultPage };
+  }
 
   /** Given a company handle, return data about company.
    *
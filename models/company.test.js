@@ -45,13 +45,22 @@ describe("create", function () {
     ]);
   });
 
-  test("bad request with dupe", async function () {
+  test("fails the unique keys with dupe", async function () {
     try {
       await Company.create(newCompany);
       await Company.create(newCompany);
       fail();
     } catch (err) {
-      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.constraint).toEqual("companies_pkey");
+    }
+  });
+
+  test("fails the unique keys with a dupe name", async function () {
+    try {
+      await Company.create({ ...newCompany, handle: "other", name: "C1" });
+      fail();
+    } catch (err) {
+      expect(err.constraint).toEqual("companies_name_key");
     }
   });
 });
@@ -90,8 +99,55 @@ describe("findAll", function () {
 /************************************** findByCriteria */
 
 describe("findByCriteria", function () {
+  test("works: paging", async function () {
+    const { companies, page } = await Company.findByCriteria({}, { limit: 2 });
+    expect(companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(page).toEqual({
+      total: 3,
+      limit: 2,
+      offset: null,
+      next: { cursor: expect.any(String) },
+      prev: null,
+    });
+
+    const nextPage = await Company.findByCriteria({}, { limit: 2, cursor: page.next.cursor });
+    expect(nextPage.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(nextPage.page.next).toBeNull();
+  });
+
+  test("works: sort", async function () {
+    const { companies } = await Company.findByCriteria({ sort: "-numEmployees" });
+    expect(companies.map(c => c.handle)).toEqual(["c3", "c2", "c1"]);
+  });
+
+  test("works: paging with a sort", async function () {
+    await db.query(`UPDATE companies SET num_employees = NULL WHERE handle = 'c2'`);
+    const { companies, page } = await Company.findByCriteria({ sort: "numEmployees" }, { limit: 1 });
+    expect(companies.map(c => c.handle)).toEqual(["c2"]);
+    const rest = await Company.findByCriteria({ sort: "numEmployees" }, { cursor: page.next.cursor });
+    expect(rest.companies.map(c => c.handle)).toEqual(["c1", "c3"]);
+  });
+
+  test("bad request: unknown sort field", async function () {
+    try {
+      await Company.findByCriteria({ sort: "description" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: full-text search, most relevant first", async function () {
+    await db.query(`UPDATE companies SET description = 'Logistics and shipping' WHERE handle = 'c1'`);
+    await db.query(`UPDATE companies SET name = 'Shipping Co' WHERE handle = 'c3'`);
+    const { companies } = await Company.findByCriteria({ q: "shipping" });
+    // a match in the name counts for more than one in the description
+    expect(companies.map(c => c.handle)).toEqual(["c3", "c1"]);
+    expect(companies[0]).not.toHaveProperty("relevance");
+  });
+
   test("works: name filter", async function () {
-    const companies = await Company.findByCriteria({ name: "C1" });
+    const { companies } = await Company.findByCriteria({ name: "C1" });
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -104,7 +160,7 @@ describe("findByCriteria", function () {
   });
 
   test("works: minEmployees filter", async function () {
-    const companies = await Company.findByCriteria({ minEmployees: 2 });
+    const { companies } = await Company.findByCriteria({ minEmployees: 2 });
     expect(companies).toEqual([
       {
         handle: "c2",
@@ -124,7 +180,7 @@ describe("findByCriteria", function () {
   });
 
   test("works: maxEmployees filter", async function () {
-    const companies = await Company.findByCriteria({ maxEmployees: 2 });
+    const { companies } = await Company.findByCriteria({ maxEmployees: 2 });
     expect(companies).toEqual([
       {
         handle: "c1",
@@ -144,7 +200,7 @@ describe("findByCriteria", function () {
   });
 
   test("works: name, minEmployees, maxEmployees filters", async function () {
-    const companies = await Company.findByCriteria({
+    const { companies } = await Company.findByCriteria({
       name: "C",
       minEmployees: 2,
       maxEmployees: 3,
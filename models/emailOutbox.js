@@ -0,0 +1,140 @@
+"use strict";
+
+const db = require("../db");
+const { sendMail } = require("../helpers/mailer");
+const { MAIL_MAX_ATTEMPTS, MAIL_RETRY_BASE_SECONDS } = require("../config");
+
+const EMAIL_COLUMNS = `
+  id,
+  recipient AS "to",
+  subject,
+  text_body AS "text",
+  html_body AS "html",
+  created_at AS "createdAt",
+  attempts,
+  next_attempt_at AS "nextAttemptAt",
+  last_error AS "lastError"`;
+
+/** Seconds to wait before trying an email again, after it has failed `attempts` times. */
+
+function retryDelaySeconds(attempts) {
+  return MAIL_RETRY_BASE_SECONDS * 2 ** (attempts - 1);
+}
+
+/** Related functions for the email outbox.
+ *
+ * Email isn't sent while handling a request; it's queued here, in the same
+ * transaction as whatever it's about, so it only goes out if that commits.
+ * deliverPending sends them with the mailer, and sets their sentAt.
+ *
+ * An email that fails to send is tried again later, backing off each time
+ * (see MAIL_RETRY_BASE_SECONDS); after MAIL_MAX_ATTEMPTS failures it's given
+ * up on and marked failed.
+ */
+
+class EmailOutbox {
+  /** Queue an email: { to, subject, text, html }, where html is optional.
+   * renderMail (helpers/mailTemplates.js) makes the rest from a template.
+   *
+   * Returns { id, to, subject, text, html, createdAt, attempts, nextAttemptAt, lastError }
+   **/
+
+  static async enqueue({ to, subject, text, html = null }) {
+    const result = await db.query(
+          `INSERT INTO email_outbox (recipient, subject, text_body, html_body)
+           VALUES ($1, $2, $3, $4)
+           RETURNING ${EMAIL_COLUMNS}`,
+        [to, subject, text, html]);
+    return result.rows[0];
+  }
+
+  /** Emails not sent or given up on yet, oldest first, including those
+   * waiting to be tried again.
+   *
+   * Returns [{ id, to, subject, text, html, createdAt, attempts, nextAttemptAt, lastError }, ...]
+   **/
+
+  static async pending() {
+    const result = await db.query(
+          `SELECT ${EMAIL_COLUMNS}
+           FROM email_outbox
+           WHERE sent_at IS NULL AND failed_at IS NULL
+           ORDER BY id`);
+    return result.rows;
+  }
+
+  /** Emails given up on, oldest first.
+   *
+   * Returns [{ id, to, subject, text, html, createdAt, attempts, nextAttemptAt, lastError }, ...]
+   **/
+
+  static async failed() {
+    const result = await db.query(
+          `SELECT ${EMAIL_COLUMNS}
+           FROM email_outbox
+           WHERE failed_at IS NOT NULL
+           ORDER BY id`);
+    return result.rows;
+  }
+
+  /** Send every pending email that's due with the mailer (see helpers/mailer.js).
+   *
+   * Returns { sent, retrying, failed }: how many were sent, failed and will
+   * be tried again, and failed for the last time.
+   **/
+
+  static async deliverPending() {
+    const counts = { sent: 0, retrying: 0, failed: 0 };
+    const due = await db.query(
+          `SELECT id
+           FROM email_outbox
+           WHERE sent_at IS NULL AND failed_at IS NULL
+             AND next_attempt_at <= CURRENT_TIMESTAMP
+           ORDER BY id`);
+
+    for (const { id } of due.rows) {
+      const outcome = await db.withTransaction(async () => {
+        // SKIP LOCKED: an email another deliverPending is sending is left to it
+        const result = await db.query(
+              `SELECT ${EMAIL_COLUMNS}
+               FROM email_outbox
+               WHERE id = $1 AND sent_at IS NULL AND failed_at IS NULL
+               FOR UPDATE SKIP LOCKED`,
+            [id]);
+        const email = result.rows[0];
+        if (!email) return null;
+
+        try {
+          const { to, subject, text, html } = email;
+          await sendMail({ to, subject, text, html: html || undefined });
+        } catch (err) {
+          const attempts = email.attempts + 1;
+          const givingUp = attempts >= MAIL_MAX_ATTEMPTS;
+          await db.query(
+                `UPDATE email_outbox
+                 SET attempts = $2,
+                     last_error = $3,
+                     next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $4),
+                     failed_at = CASE WHEN $5 THEN CURRENT_TIMESTAMP END
+                 WHERE id = $1`,
+              [id, attempts, err.message, retryDelaySeconds(attempts), givingUp]);
+          if (process.env.NODE_ENV !== "test") {
+            console.error(`Could not send email ${id} (attempt ${attempts}):`, err.message);
+          }
+          return givingUp ? "failed" : "retrying";
+        }
+
+        await db.query(
+              `UPDATE email_outbox
+               SET attempts = attempts + 1, sent_at = CURRENT_TIMESTAMP
+               WHERE id = $1`,
+            [id]);
+        return "sent";
+      });
+      if (outcome) counts[outcome]++;
+    }
+    return counts;
+  }
+}
+
+module.exports = EmailOutbox;
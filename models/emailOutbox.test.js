@@ -0,0 +1,138 @@
+"use strict";
+
+const db = require("../db.js");
+const EmailOutbox = require("./emailOutbox.js");
+const { MemoryTransport, getTransport, setTransport } = require("../helpers/mailer");
+const { MAIL_MAX_ATTEMPTS, MAIL_RETRY_BASE_SECONDS } = require("../config");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** A transport that fails for one address and keeps the rest. */
+
+class FlakyTransport extends MemoryTransport {
+  async send(email) {
+    if (email.to === "bad@email.com") throw new Error("mailbox unavailable");
+    await super.send(email);
+  }
+}
+
+const original = getTransport();
+afterEach(function () {
+  setTransport(original);
+});
+
+/************************************** enqueue */
+
+describe("enqueue", function () {
+  test("works", async function () {
+    const email = await EmailOutbox.enqueue({
+      to: "u1@email.com",
+      subject: "Hi",
+      text: "Hello",
+      html: "<p>Hello</p>",
+    });
+    expect(email).toEqual({
+      id: expect.any(Number),
+      to: "u1@email.com",
+      subject: "Hi",
+      text: "Hello",
+      html: "<p>Hello</p>",
+      createdAt: expect.any(Date),
+      attempts: 0,
+      nextAttemptAt: expect.any(Date),
+      lastError: null,
+    });
+  });
+
+  test("works: text only", async function () {
+    const email = await EmailOutbox.enqueue({ to: "u1@email.com", subject: "Hi", text: "Hello" });
+    expect(email.html).toBeNull();
+  });
+});
+
+/************************************** pending */
+
+describe("pending", function () {
+  test("works", async function () {
+    const first = await EmailOutbox.enqueue({ to: "u1@email.com", subject: "One", text: "1" });
+    const sent = await EmailOutbox.enqueue({ to: "u1@email.com", subject: "Two", text: "2" });
+    const third = await EmailOutbox.enqueue({ to: "u2@email.com", subject: "Three", text: "3" });
+    const failed = await EmailOutbox.enqueue({ to: "u2@email.com", subject: "Four", text: "4" });
+    await db.query("UPDATE email_outbox SET sent_at = CURRENT_TIMESTAMP WHERE id = $1", [sent.id]);
+    await db.query("UPDATE email_outbox SET failed_at = CURRENT_TIMESTAMP WHERE id = $1", [failed.id]);
+
+    const pending = await EmailOutbox.pending();
+    expect(pending.map(e => e.id)).toEqual([first.id, third.id]);
+    expect((await EmailOutbox.failed()).map(e => e.id)).toEqual([failed.id]);
+  });
+});
+
+/************************************** deliverPending */
+
+describe("deliverPending", function () {
+  test("works", async function () {
+    const transport = new MemoryTransport();
+    setTransport(transport);
+    await EmailOutbox.enqueue({ to: "u1@email.com", subject: "One", text: "1", html: "<p>1</p>" });
+    await EmailOutbox.enqueue({ to: "u2@email.com", subject: "Two", text: "2" });
+
+    expect(await EmailOutbox.deliverPending()).toEqual({ sent: 2, retrying: 0, failed: 0 });
+    expect(transport.sent).toEqual([
+      { from: expect.any(String), to: "u1@email.com", subject: "One", text: "1", html: "<p>1</p>" },
+      { from: expect.any(String), to: "u2@email.com", subject: "Two", text: "2", html: undefined },
+    ]);
+    expect(await EmailOutbox.pending()).toEqual([]);
+
+    // nothing is sent twice
+    expect(await EmailOutbox.deliverPending()).toEqual({ sent: 0, retrying: 0, failed: 0 });
+  });
+
+  test("retries failures later, backing off", async function () {
+    const transport = new FlakyTransport();
+    setTransport(transport);
+    const bad = await EmailOutbox.enqueue({ to: "bad@email.com", subject: "One", text: "1" });
+    await EmailOutbox.enqueue({ to: "u2@email.com", subject: "Two", text: "2" });
+
+    expect(await EmailOutbox.deliverPending()).toEqual({ sent: 1, retrying: 1, failed: 0 });
+    const [pending] = await EmailOutbox.pending();
+    expect(pending).toEqual(expect.objectContaining({
+      id: bad.id,
+      attempts: 1,
+      lastError: "mailbox unavailable",
+    }));
+
+    // not due yet, so not tried again
+    expect(await EmailOutbox.deliverPending()).toEqual({ sent: 0, retrying: 0, failed: 0 });
+
+    // the first wait is MAIL_RETRY_BASE_SECONDS, and each after that twice the last
+    expect((pending.nextAttemptAt - pending.createdAt) / 1000).toEqual(MAIL_RETRY_BASE_SECONDS);
+    await db.query("UPDATE email_outbox SET next_attempt_at = CURRENT_TIMESTAMP");
+    await EmailOutbox.deliverPending();
+    const waits = await db.query(
+        `SELECT EXTRACT(EPOCH FROM next_attempt_at - created_at)::integer AS "wait"
+         FROM email_outbox WHERE id = $1`,
+        [bad.id]);
+    expect(waits.rows[0].wait).toEqual(2 * MAIL_RETRY_BASE_SECONDS);
+  });
+
+  test("gives up after MAIL_MAX_ATTEMPTS", async function () {
+    setTransport(new FlakyTransport());
+    const bad = await EmailOutbox.enqueue({ to: "bad@email.com", subject: "One", text: "1" });
+    await db.query("UPDATE email_outbox SET attempts = $1", [MAIL_MAX_ATTEMPTS - 1]);
+
+    expect(await EmailOutbox.deliverPending()).toEqual({ sent: 0, retrying: 0, failed: 1 });
+    expect(await EmailOutbox.pending()).toEqual([]);
+    const failed = await EmailOutbox.failed();
+    expect(failed.map(e => e.id)).toEqual([bad.id]);
+    expect(failed[0].attempts).toEqual(MAIL_MAX_ATTEMPTS);
+  });
+});
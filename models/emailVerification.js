@@ -0,0 +1,95 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { renderMail } = require("../helpers/mailTemplates");
+const { APP_URL, EMAIL_VERIFICATION_TTL_HOURS } = require("../config");
+const EmailOutbox = require("./emailOutbox");
+
+/** Related functions for verifying users' email addresses.
+ *
+ * A verification email links to the frontend with a token; the token marks
+ * the address it was sent to as verified, once, within
+ * EMAIL_VERIFICATION_TTL_HOURS. Only hashes of the tokens are stored.
+ */
+
+class EmailVerification {
+  /** Queue a verification email to a user's current address.
+   *
+   * Returns true if one was queued, false if the address is already verified.
+   *
+   * Throws NotFoundError if there's no such user.
+   **/
+
+  static async send(username) {
+    return db.withTransaction(async () => {
+      const userRes = await db.query(
+            `SELECT username,
+                    email,
+                    first_name AS "firstName",
+                    email_verified AS "emailVerified"
+             FROM users
+             WHERE username = $1`,
+          [username]);
+      const user = userRes.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+      if (user.emailVerified) return false;
+
+      const token = createRandomToken();
+      await db.query(
+            `INSERT INTO email_verification_tokens (username, email, token_hash, expires_at)
+             VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(hours => $4))`,
+          [user.username, user.email, hashToken(token), EMAIL_VERIFICATION_TTL_HOURS]);
+
+      await EmailOutbox.enqueue({
+        to: user.email,
+        ...renderMail("verifyEmail", {
+          firstName: user.firstName,
+          email: user.email,
+          link: `${APP_URL}/verify-email?token=${token}`,
+          ttlHours: EMAIL_VERIFICATION_TTL_HOURS,
+        }),
+      });
+      return true;
+    });
+  }
+
+  /** Use a verification token to mark the address it was sent to as verified.
+   *
+   * Returns { username, email }
+   *
+   * Throws BadRequestError if the token is unknown, expired or already used,
+   * or the user has changed their email address since it was sent.
+   **/
+
+  static async confirm(token) {
+    return db.withTransaction(async () => {
+      const result = await db.query(
+            `UPDATE email_verification_tokens
+             SET used_at = CURRENT_TIMESTAMP
+             WHERE token_hash = $1
+               AND used_at IS NULL
+               AND expires_at > CURRENT_TIMESTAMP
+             RETURNING username, email`,
+          [hashToken(token)]);
+      const verification = result.rows[0];
+
+      if (!verification) throw new BadRequestError("Invalid or expired verification token");
+
+      const userRes = await db.query(
+            `UPDATE users
+             SET email_verified = TRUE
+             WHERE username = $1 AND email = $2
+             RETURNING username, email`,
+          [verification.username, verification.email]);
+      const user = userRes.rows[0];
+
+      if (!user) throw new BadRequestError("Email address has changed since this token was sent");
+      return user;
+    });
+  }
+}
+
+module.exports = EmailVerification;
@@ -0,0 +1,102 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const EmailVerification = require("./emailVerification.js");
+const EmailOutbox = require("./emailOutbox.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Send a verification email to a user and return the token in its link. */
+
+async function sendToken(username) {
+  await EmailVerification.send(username);
+  const emails = await EmailOutbox.pending();
+  return /token=([A-Za-z0-9_-]+)/.exec(emails[emails.length - 1].text)[1];
+}
+
+/************************************** send */
+
+describe("send", function () {
+  test("works", async function () {
+    expect(await EmailVerification.send("u1")).toEqual(true);
+
+    const emails = await EmailOutbox.pending();
+    expect(emails.length).toEqual(1);
+    expect(emails[0].to).toEqual("u1@email.com");
+    expect(emails[0].text).toMatch(/\/verify-email\?token=/);
+  });
+
+  test("sends nothing if already verified", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE WHERE username = 'u1'");
+    expect(await EmailVerification.send("u1")).toEqual(false);
+    expect(await EmailOutbox.pending()).toEqual([]);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await EmailVerification.send("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    const token = await sendToken("u1");
+    expect(await EmailVerification.confirm(token)).toEqual({
+      username: "u1",
+      email: "u1@email.com",
+    });
+    expect((await User.get("u1")).user.emailVerified).toEqual(true);
+  });
+
+  test("bad request for a used token", async function () {
+    const token = await sendToken("u1");
+    await EmailVerification.confirm(token);
+    try {
+      await EmailVerification.confirm(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request for an expired token", async function () {
+    const token = await sendToken("u1");
+    await db.query(
+        "UPDATE email_verification_tokens SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute'");
+    try {
+      await EmailVerification.confirm(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if the email has changed since", async function () {
+    const token = await sendToken("u1");
+    await User.update("u1", { email: "other@email.com" });
+    try {
+      await EmailVerification.confirm(token);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect((await User.get("u1")).user.emailVerified).toEqual(false);
+  });
+});
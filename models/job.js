@@ -4,36 +4,112 @@ const { min } = require("lodash");
 const db = require("../db");
 const { BadRequestError, NotFoundError } = require("../expressError");
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { parsePage, parseSort, sqlForPage, paginate } = require("../helpers/pagination");
+
+const PAY_PERIODS = ["hourly", "yearly"];
+
+/** A year of full-time work, for comparing hourly and yearly pay. */
+
+const HOURS_PER_YEAR = 2080;
+
+// the low and high ends of a job's pay range; a job with only one figure pays just that
+const SALARY_LOW_SQL = "COALESCE(salary_min, salary_max)";
+const SALARY_HIGH_SQL = "COALESCE(salary_max, salary_min)";
+
+/** Turn SQL for an amount of pay into SQL for that pay per year. */
+
+function yearlySql(sql) {
+  return `(CASE WHEN pay_period = 'hourly' THEN (${sql})::bigint * ${HOURS_PER_YEAR} ELSE ${sql} END)`;
+}
+
+// job searches can filter on, and include, the company posting the job
+const JOIN_COMPANIES_SQL = "JOIN companies ON companies.handle = jobs.company_handle";
+const COMPANY_SUMMARY_SQL = `
+    json_build_object('handle', companies.handle,
+                      'name', companies.name,
+                      'numEmployees', companies.num_employees,
+                      'logoUrl', companies.logo_url)`;
+
+/** Fields jobs can be sorted by (see parseSort); id breaks ties.
+ * salary sorts by the low end of the range per year. Jobs with no salary or
+ * equity listed sort lowest. */
+
+const JOB_SORTS = {
+  id: { column: "id", key: "id", type: "integer" },
+  title: { column: "title", key: "title", type: "text" },
+  salary: {
+    column: `COALESCE(${yearlySql(SALARY_LOW_SQL)}, -1)`, key: "yearlySalary", ifNull: -1, type: "number",
+  },
+  equity: { column: "COALESCE(equity, -1)", key: "equity", ifNull: -1, type: "number" },
+  companyHandle: { column: "company_handle", key: "companyHandle", type: "text" },
+};
+
+/** Fields applications to a job can be sorted by (see parseSort); username
+ * breaks ties. applied_at is cut to milliseconds, all a cursor key (a JS
+ * Date) can hold. */
+
+const APPLICATION_SORTS = {
+  appliedAt: { column: "date_trunc('milliseconds', a.applied_at)", key: "appliedAt", type: "timestamp" },
+  username: { column: "u.username", key: "username", type: "text" },
+};
 
 /** Related functions for jobs. */
 
 class Job {
   /** Create a job (from data), update db, return new job data.
    *
-   * data should be { title, salary, equity, company_handle }
+   * data should be { title, salaryMin, salaryMax, payPeriod, equity, companyHandle,
+   *                  status, closesAt, publishAt }
+   *   where salaryMin and salaryMax are the pay range (either can be left out),
+   *   payPeriod is yearly (the default) or hourly, status is draft, open (the default) or closed, closesAt is
+   *   an optional time after which the job stops taking applications, and
+   *   publishAt is an optional time at which a draft job opens by itself
    *
-   * Returns { id, title, salary, equity, company_handle }
+   * Returns { id, title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status,
+   *           postedAt, closesAt, publishAt }
    *
-   * Throws BadRequestError if company already in database.
+   * Throws BadRequestError if salaryMin is more than salaryMax.
    * */
 
-  static async create({ title, salary, equity, companyHandle }) {
+  static async create({
+      title, salaryMin = null, salaryMax = null, payPeriod = "yearly", equity, companyHandle,
+      publishAt = null, status = publishAt ? "draft" : "open", closesAt = null }) {
+    if (salaryMin !== null && salaryMax !== null && salaryMin > salaryMax) {
+      throw new BadRequestError("salaryMin cannot be greater than salaryMax");
+    }
+    if (publishAt && status !== "draft") {
+      throw new BadRequestError("Only draft jobs can be scheduled to publish");
+    }
 
+    // only open jobs have been posted; drafts get posted_at when they're published
     const result = await db.query(
           `INSERT INTO jobs
-           (title, salary, equity, company_handle)
-           VALUES ($1, $2, $3, $4)
+           (title, salary_min, salary_max, pay_period, equity, company_handle,
+            status, closes_at, publish_at, posted_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9,
+                   CASE WHEN $7 = 'open' THEN CURRENT_TIMESTAMP END)
            RETURNING 
            id,
            title, 
-           salary, 
+           salary_min AS "salaryMin",
+           salary_max AS "salaryMax",
+           pay_period AS "payPeriod",
            equity, 
-           company_handle AS "companyHandle"`,
+           company_handle AS "companyHandle",
+           status,
+           posted_at AS "postedAt",
+           closes_at AS "closesAt",
+           publish_at AS "publishAt"`,
         [
             title, 
-            salary, 
+            salaryMin,
+            salaryMax,
+            payPeriod,
             equity, 
-            companyHandle
+            companyHandle,
+            status,
+            closesAt,
+            publishAt
         ],
     );
     const job = result.rows[0];
@@ -44,7 +120,7 @@ class Job {
 
   /** Find all jobs.
    *
-   * Returns [{ title, salary, equity, companyHandle }, ...]
+   * Returns [{ title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status, postedAt, closesAt, publishAt }, ...]
    * */
 
   static async findAll() {
@@ -52,9 +128,15 @@ class Job {
           `SELECT 
           id,
           title, 
-          salary, 
+          salary_min AS "salaryMin",
+          salary_max AS "salaryMax",
+          pay_period AS "payPeriod",
           equity, 
-          company_handle AS "companyHandle"
+          company_handle AS "companyHandle",
+          status,
+          posted_at AS "postedAt",
+          closes_at AS "closesAt",
+          publish_at AS "publishAt"
            FROM jobs
            ORDER BY title`);
     return jobsRes.rows;
@@ -62,21 +144,30 @@ class Job {
 
   /** Find all jobs from a certain company.
    *
-   * Returns [{ title, salary, equity, companyHandle }, ...]
+   * Draft jobs are left out unless includeDrafts is true (for admins).
+   *
+   * Returns [{ title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status, postedAt, closesAt, publishAt }, ...]
    * */
 
-  static async findAllByCompany(company_handle) {
+  static async findAllByCompany(company_handle, { includeDrafts = false } = {}) {
     const jobsRes = await db.query(
           `SELECT 
           id,
           title, 
-          salary, 
+          salary_min AS "salaryMin",
+          salary_max AS "salaryMax",
+          pay_period AS "payPeriod",
           equity, 
-          company_handle AS "companyHandle"
+          company_handle AS "companyHandle",
+          status,
+          posted_at AS "postedAt",
+          closes_at AS "closesAt",
+          publish_at AS "publishAt"
            FROM jobs
            WHERE company_handle = $1
+             AND ($2 OR status <> 'draft')
            ORDER BY title`, 
-           [company_handle]);
+           [company_handle, includeDrafts]);
     if (!jobsRes) {
       return null
     }
@@ -84,55 +175,196 @@ class Job {
   }
 
 
-  /** Find jobs based on criteria passed in a query string.
+  /** Find jobs based on criteria passed in a query string, one page at a time.
    * 
-   * Returns [{ title, salary, equity, companyHandle }] that match the entered query of (title, minSalary, hasEquity, or all)
+   * Filters on (title, minSalary, maxSalary, payPeriod, hasEquity, minEquity,
+   * maxEquity, or all), and on the company posting the job with (companyHandle,
+   * companyName, minEmployees, maxEmployees); page is
+   * { limit, offset, cursor } as taken by parsePage in helpers/pagination.js.
+   *
+   * With includeCompany, each job also has a summary of its company:
+   *   company: { handle, name, numEmployees, logoUrl }
+   *
+   * minSalary and maxSalary find jobs whose pay range overlaps theirs. They
+   * are yearly amounts, with hourly pay counted as HOURS_PER_YEAR hours'
+   * worth, unless payPeriod is given: then only jobs paid by that period are
+   * found and the amounts are per that period.
+   *
+   * q is a full-text search over job titles; it understands quotes, "or" and
+   * "-word" like web search engines do.
+   *
+   * sort is a list of fields like "-salary,title" (see parseSort); jobs can be
+   * sorted by title (the default), salary, equity, companyHandle or id, and
+   * with q, by relevance (then the default is most relevant first).
+   *
+   * Only open jobs that haven't passed their closing date are found; for
+   * admins, includeClosed adds closed and expired jobs, and includeDrafts adds
+   * drafts.
+   *
+   * Returns { jobs, page }
+   *   where jobs is [{ id, title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status,
+   *           postedAt, closesAt, publishAt }, ...]
+   *   and page is { total, limit, offset, next, prev }
    */
 
-  static async findByCriteria({ title, minSalary, hasEquity }) {
-  
-    let query = `
-    SELECT 
-    id,
-    title, 
-    salary, 
-    equity, 
-    company_handle AS "companyHandle"
-     FROM jobs`;
+  static async findByCriteria({
+      q, title, minSalary, maxSalary, payPeriod, hasEquity, minEquity, maxEquity, includeClosed,
+      includeDrafts, companyHandle, companyName, minEmployees, maxEmployees, includeCompany = false,
+      sort }, page = {}) {
+    if (minSalary !== undefined && maxSalary !== undefined && Number(minSalary) > Number(maxSalary)) {
+      throw new BadRequestError("minSalary cannot be greater than maxSalary");
+    }
+    if (minEquity !== undefined && maxEquity !== undefined && Number(minEquity) > Number(maxEquity)) {
+      throw new BadRequestError("minEquity cannot be greater than maxEquity");
+    }
+    if (minEmployees !== undefined && maxEmployees !== undefined
+        && Number(minEmployees) > Number(maxEmployees)) {
+      throw new BadRequestError("minEmployees cannot be greater than maxEmployees");
+    }
+    if (payPeriod !== undefined && !PAY_PERIODS.includes(payPeriod)) {
+      throw new BadRequestError(`payPeriod must be one of: ${PAY_PERIODS.join(", ")}`);
+    }
+    const pageReq = parsePage(page);
   
+    const whereExpressions = [];
     const values = [];
+    let sortable = JOB_SORTS;
+    let rankSql = null;
+
+    // if ?q= in the URL, only find jobs matching the search, and allow sorting by how well they match
+    if (q) {
+      values.push(q);
+      whereExpressions.push(`jobs.search_vector @@ websearch_to_tsquery('english', $${values.length})`);
+      rankSql = `ts_rank(jobs.search_vector, websearch_to_tsquery('english', $${values.length}))`;
+      sortable = { ...JOB_SORTS, relevance: { column: rankSql, key: "relevance", type: "number" } };
+    }
+    const orderBy = parseSort(sort || (q ? "-relevance" : "title"), sortable, "id");
+    // unless asked for more, only show jobs that are open and not expired
+    const statuses = ["open"];
+    if (includeClosed === "true" || includeClosed === true) {
+      statuses.push("closed");
+    } else {
+      whereExpressions.push(`(closes_at IS NULL OR closes_at > NOW())`);
+    }
+    if (includeDrafts === "true" || includeDrafts === true) statuses.push("draft");
+    values.push(statuses);
+    whereExpressions.push(`status = ANY($${values.length})`);
   
     // if ?title= in the URL, where the value is in any title, push the job to the values array
     if (title) {
-      query += `
-        WHERE title ILIKE $1`;
       values.push(`%${title}%`);
+      whereExpressions.push(`title ILIKE $${values.length}`);
     }
   
-    // if title has a value and minSalary have a value, or title does not have a value, look for where salary is greater than or equal to the value that is entered
-    if (minSalary) {
-      query += `
-        ${title ? 'AND' : 'WHERE'} salary >= $${values.length + 1}`;
+    // compare pay per year, unless only looking at jobs paid by one pay period
+    let salaryLow = yearlySql(SALARY_LOW_SQL);
+    let salaryHigh = yearlySql(SALARY_HIGH_SQL);
+    if (payPeriod) {
+      values.push(payPeriod);
+      whereExpressions.push(`pay_period = $${values.length}`);
+      salaryLow = SALARY_LOW_SQL;
+      salaryHigh = SALARY_HIGH_SQL;
+    }
+
+    // if minSalary has a value, look for jobs whose pay range reaches up to it
+    if (minSalary !== undefined) {
       values.push(minSalary);
+      whereExpressions.push(`${salaryHigh} >= $${values.length}`);
+    }
+
+    // if maxSalary has a value, look for jobs whose pay range starts at or below it
+    if (maxSalary !== undefined) {
+      values.push(maxSalary);
+      whereExpressions.push(`${salaryLow} <= $${values.length}`);
     }
   
-    // if title has a value, minSalary, and hasEquity have a value, or title/ minSalary do not have a value, look for where hasEquity is true (greater than 0)
+    // if hasEquity is true, look for where equity is greater than 0
     if (hasEquity === "true" || hasEquity === true) {
-      query += `
-        ${title || minSalary ? 'AND' : 'WHERE'} equity > 0`;
+      whereExpressions.push(`equity > 0`);
     }
     // if hasEquity is false, yield only jobs with "0" equity
     else if (hasEquity === 'false' || hasEquity === false) {
+      whereExpressions.push(`equity = 0`);
+    }
+
+    // if minEquity has a value, look for where equity is at least that much
+    if (minEquity !== undefined) {
+      values.push(minEquity);
+      whereExpressions.push(`equity >= $${values.length}`);
+    }
+
+    // if maxEquity has a value, look for where equity is at most that much
+    if (maxEquity !== undefined) {
+      values.push(maxEquity);
+      whereExpressions.push(`equity <= $${values.length}`);
+    }
+
+    // if ?companyHandle= in the URL, only look at jobs from that company
+    if (companyHandle) {
+      values.push(companyHandle);
+      whereExpressions.push(`company_handle = $${values.length}`);
+    }
+
+    // if ?companyName= in the URL, look for jobs at companies with the value anywhere in their name
+    if (companyName) {
+      values.push(`%${companyName}%`);
+      whereExpressions.push(`companies.name ILIKE $${values.length}`);
+    }
+
+    // if minEmployees / maxEmployees have values, look for jobs at companies of that size
+    if (minEmployees !== undefined) {
+      values.push(minEmployees);
+      whereExpressions.push(`companies.num_employees >= $${values.length}`);
+    }
+    if (maxEmployees !== undefined) {
+      values.push(maxEmployees);
+      whereExpressions.push(`companies.num_employees <= $${values.length}`);
+    }
+
+    const filterSql = whereExpressions.length
+        ? `WHERE ${whereExpressions.join(" AND ")}`
+        : "";
+    const countRes = await db.query(
+          `SELECT COUNT(*) AS "total" FROM jobs ${JOIN_COMPANIES_SQL} ${filterSql}`,
+        values);
+
+    const pageSql = sqlForPage(pageReq, orderBy, values);
+    if (pageSql.where) whereExpressions.push(pageSql.where);
+
+    let query = `
+    SELECT 
+    id,
+    title, 
+    salary_min AS "salaryMin",
+    salary_max AS "salaryMax",
+    pay_period AS "payPeriod",
+    equity, 
+    company_handle AS "companyHandle",
+    status,
+    posted_at AS "postedAt",
+    closes_at AS "closesAt",
+    publish_at AS "publishAt",
+    ${yearlySql(SALARY_LOW_SQL)} AS "yearlySalary"
+    ${rankSql ? `, ${rankSql} AS "relevance"` : ""}
+    ${includeCompany ? `, ${COMPANY_SUMMARY_SQL} AS "company"` : ""}
+     FROM jobs ${JOIN_COMPANIES_SQL}`;
+
+    if (whereExpressions.length > 0) {
       query += `
-        ${title || minSalary ? 'AND' : 'WHERE'} equity = 0`;
+      WHERE ${whereExpressions.join(" AND ")}`;
     }
   
     query += `
-      ORDER BY title`;
+      ${pageSql.orderBy}
+      ${pageSql.limit}`;
   
     const jobsRes = await db.query(query, values);
-  
-    return jobsRes.rows;
+
+    const { rows, page: resultPage } = paginate(
+        jobsRes.rows, pageReq, Number(countRes.rows[0].total), orderBy);
+    // relevance and yearlySalary were only needed for sorting and cursors
+    const jobs = rows.map(({ relevance, yearlySalary, ...job }) => job);
+    return { jobs, page: resultPage };
   }
   
 
@@ -140,7 +372,8 @@ class Job {
 
   /** Given a job title, return data about job.
    *
-   * Returns { title, salary, equity, companyHandle }
+   * Returns { id, title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status,
+   *           postedAt, closesAt, publishAt }
    *
    * Throws NotFoundError if not found.
    **/
@@ -150,9 +383,15 @@ class Job {
           `SELECT 
           id,
           title, 
-          salary, 
+          salary_min AS "salaryMin",
+          salary_max AS "salaryMax",
+          pay_period AS "payPeriod",
           equity, 
-          company_handle AS "companyHandle"
+          company_handle AS "companyHandle",
+          status,
+          posted_at AS "postedAt",
+          closes_at AS "closesAt",
+          publish_at AS "publishAt"
            FROM jobs
            WHERE id = $1`,
            [id]);
@@ -163,23 +402,92 @@ class Job {
     return job;
   }
 
+  /** Given a job id, return the users who applied to it, one page at a time.
+   *
+   * Can be narrowed with { status, sort }:
+   * - status: only applications currently in this status
+   * - sort: "appliedAt" (oldest first, the default) or "-appliedAt" (newest first)
+   * page is { limit, offset, cursor } as taken by parsePage in helpers/pagination.js.
+   *
+   * Returns { applications, page }
+   *   where applications is [{ username, firstName, lastName, email, appliedAt, status,
+   *                            coverLetter, answers, resumeVersion }, ...],
+   *   answers is [{ questionId, answer }, ...] or null, resumeVersion is the
+   *   version of the résumé submitted with the application, or null, and page
+   *   is { total, limit, offset, next, prev }
+   *
+   * Filters are checked by the route (schemas/applicationList.json).
+   *
+   * Throws NotFoundError if job not found.
+   **/
+
+  static async getApplications(id, { status, sort = "appliedAt" } = {}, page = {}) {
+    const pageReq = parsePage(page);
+    const orderBy = parseSort(sort, APPLICATION_SORTS, "username");
+    await Job.get(id);
+
+    const values = [id];
+    let where = "WHERE a.job_id = $1";
+    if (status) {
+      values.push(status);
+      where += ` AND a.status = $${values.length}`;
+    }
+
+    const countRes = await db.query(
+          `SELECT COUNT(*) AS "total"
+           FROM applications AS a
+           ${where}`,
+        values);
+
+    const pageSql = sqlForPage(pageReq, orderBy, values);
+    const applicationsRes = await db.query(`
+      SELECT u.username,
+             u.first_name AS "firstName",
+             u.last_name AS "lastName",
+             u.email,
+             a.applied_at AS "appliedAt",
+             a.status,
+             a.cover_letter AS "coverLetter",
+             a.answers,
+             r.version AS "resumeVersion"
+      FROM applications AS a
+      JOIN users AS u ON u.username = a.username
+      LEFT JOIN resumes AS r ON r.id = a.resume_id
+      ${where}
+      ${pageSql.where ? `AND ${pageSql.where}` : ""}
+      ${pageSql.orderBy}
+      ${pageSql.limit}`,
+        values);
+
+    const { rows, page: resultPage } = paginate(
+        applicationsRes.rows, pageReq, Number(countRes.rows[0].total), orderBy);
+    return { applications: rows, page: resultPage };
+  }
+
   /** Update job data with `data`.
    *
    * This is a "partial update" --- it's fine if data doesn't contain all the
    * fields; this only changes provided ones.
    *
-   * Data can include: {title, salary, equity, companyHandle}
+   * Data can include: {title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status, closesAt}
    *
-   * Returns {id, title, salary, equity, companyHandle}
+   * Returns {id, title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status,
+   *          postedAt, closesAt, publishAt}
    *
-   * Throws NotFoundError if not found.
+   * Throws NotFoundError if not found. Leaving salaryMin greater than
+   * salaryMax fails the jobs_salary_range_check constraint, which the error
+   * handler turns into a 400.
    */
 
   static async update(id, data) {
     const { setCols, values } = sqlForPartialUpdate(
         data,
         {
-          companyHandle: "company_handle"
+          companyHandle: "company_handle",
+          closesAt: "closes_at",
+          salaryMin: "salary_min",
+          salaryMax: "salary_max",
+          payPeriod: "pay_period",
         });
     const handleVarIdx = "$" + (values.length + 1);
 
@@ -188,9 +496,17 @@ class Job {
                       WHERE id = ${handleVarIdx} 
                       RETURNING id, 
                       title, 
-                      salary, 
+                      salary_min AS "salaryMin",
+                      salary_max AS "salaryMax",
+                      pay_period AS "payPeriod",
                       equity, 
-                      company_handle AS "companyHandle"`;
+                      company_handle AS "companyHandle",
+                      status,
+                      posted_at AS "postedAt",
+                      closes_at AS "closesAt",
+                      publish_at AS "publishAt"`;
+    // only one end of the salary range may have been sent, so the database
+    // compares it against what's stored (jobs_salary_range_check, see helpers/dbErrors.js)
     const result = await db.query(querySql, [...values, id]);
     const job = result.rows[0];
 
@@ -198,6 +514,77 @@ class Job {
     return job;
   }
 
+  /** Open a draft or closed job, now or at a later time.
+   *
+   * If publishAt is given and in the future, the job becomes (or stays) a
+   * draft until then; otherwise it opens straight away. A reopened job is
+   * posted again, from when it opens.
+   *
+   * Returns { id, title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status,
+   *           postedAt, closesAt, publishAt }
+   *
+   * Throws NotFoundError if not found, BadRequestError if the job is already open.
+   **/
+
+  static async publish(id, publishAt = null) {
+    const job = await Job.get(id);
+    if (job.status === "open") {
+      throw new BadRequestError(`Job ${id} is already open`);
+    }
+
+    // opens the job now if publishAt has already passed
+    await db.query(
+          `UPDATE jobs
+           SET status = CASE WHEN due THEN 'open' ELSE 'draft' END,
+               posted_at = CASE WHEN due THEN at END,
+               publish_at = CASE WHEN due THEN NULL ELSE at END
+           FROM (SELECT at, at <= CURRENT_TIMESTAMP AS due
+                 FROM (SELECT COALESCE($2::timestamptz, CURRENT_TIMESTAMP) AS at) AS t) AS p
+           WHERE id = $1`,
+        [id, publishAt]);
+
+    return await Job.get(id);
+  }
+
+  /** Take an open job back to being a draft, hiding it from everyone but admins.
+   *
+   * Returns { id, title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status,
+   *           postedAt, closesAt, publishAt }
+   *
+   * Throws NotFoundError if not found, BadRequestError if the job is not open.
+   **/
+
+  static async unpublish(id) {
+    const job = await Job.get(id);
+    if (job.status !== "open") {
+      throw new BadRequestError(`Only open jobs can be unpublished; job ${id} is ${job.status}`);
+    }
+
+    await db.query(
+          `UPDATE jobs
+           SET status = 'draft', posted_at = NULL, publish_at = NULL
+           WHERE id = $1`,
+        [id]);
+
+    return await Job.get(id);
+  }
+
+  /** Open any draft jobs whose scheduled publish time has passed.
+   *
+   * server.js runs this every JOB_PUBLISH_POLL_SECONDS, so a scheduled job
+   * opens within that long of its publishAt.
+   *
+   * Returns the number of jobs opened.
+   **/
+
+  static async publishDue() {
+    const result = await db.query(
+          `UPDATE jobs
+           SET status = 'open', posted_at = publish_at, publish_at = NULL
+           WHERE status = 'draft' AND publish_at <= CURRENT_TIMESTAMP`);
+    return result.rowCount;
+  }
+
   /** Delete given job from database; returns undefined.
    *
    * Throws NotFoundError if job not found.
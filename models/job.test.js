@@ -18,13 +18,53 @@ afterAll(commonAfterAll);
 /************************************** create */
 
 describe("create", function () {
+  test("works: with status and closing date", async function () {
+    const job = await Job.create({
+      title: "Closing Job",
+      salaryMin: 50000,
+      salaryMax: null,
+      payPeriod: "yearly",
+      equity: 0,
+      companyHandle: "c1",
+      status: "draft",
+      closesAt: "2030-01-01T00:00:00Z",
+    });
+    expect(job.status).toEqual("draft");
+    expect(job.closesAt).toEqual(expect.any(Date));
+  });
+
+  test("works: keeps the offset of the closing date", async function () {
+    const job = await Job.create({
+      title: "Closing Job",
+      salaryMin: 50000,
+      salaryMax: null,
+      payPeriod: "yearly",
+      equity: 0,
+      companyHandle: "c1",
+      closesAt: "2030-10-19T23:59:00-10:00",
+    });
+    expect(job.closesAt).toEqual(new Date("2030-10-20T09:59:00Z"));
+  });
+
+
   const newJob = {
     title: "New Kinda Job",
-    salary: 100000,
+    salaryMin: 100000,
+    salaryMax: null,
+    payPeriod: "yearly",
     equity: 0.1,
     companyHandle: 'c1'
   };
 
+  test("bad request if salaryMin is greater than salaryMax", async function () {
+    try {
+      await Job.create({ ...newJob, salaryMin: 100, salaryMax: 50 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test("works", async function () {
     try {
       let job = await Job.create(newJob);
@@ -33,13 +73,19 @@ describe("create", function () {
       expect(job).toEqual({
         id: expect.any(Number),
         title: "New Kinda Job",
-        salary: 100000,
+        salaryMin: 100000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0.1",
-        companyHandle: "c1"
+        companyHandle: "c1",
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        publishAt: null
       });
   
       const result = await db.query(
-        `SELECT id, title, salary, equity, company_handle
+        `SELECT id, title, salary_min, equity, company_handle
          FROM jobs
          WHERE id = $1`, [job.id]);
   
@@ -47,7 +93,7 @@ describe("create", function () {
         {
           id: job.id,
           title: "New Kinda Job",
-          salary: 100000,
+          salary_min: 100000,
           equity: "0.1",
           company_handle: "c1"
         }
@@ -68,28 +114,153 @@ describe("findAll", function () {
         {
         id: 1, 
         title: 'Job1', 
-        salary: 100000, 
+        salaryMin: 100000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0.01", 
-        companyHandle: 'c1'
+        companyHandle: 'c1',
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        publishAt: null
       },
       {
         id: 2, 
         title: 'Job2', 
-        salary: 80000, 
+        salaryMin: 80000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0.02", 
-        companyHandle: 'c3'
+        companyHandle: 'c3',
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        publishAt: null
       },
       {
         id: 3, 
         title: 'Job3', 
-        salary: 120000, 
+        salaryMin: 120000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0", 
-        companyHandle: 'c3'
+        companyHandle: 'c3',
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        publishAt: null
       }
     ]);
   });
 });
 
+/************************************** drafts and publishing */
+
+describe("drafts and publishing", function () {
+  const draftJob = {
+    title: "Draft Job",
+    salaryMin: 70000,
+    salaryMax: null,
+    payPeriod: "yearly",
+    equity: 0,
+    companyHandle: "c1",
+    status: "draft",
+  };
+
+  test("draft jobs have not been posted", async function () {
+    const job = await Job.create(draftJob);
+    expect(job.status).toEqual("draft");
+    expect(job.postedAt).toBeNull();
+  });
+
+  test("drafts are left out of search and company listings", async function () {
+    await Job.create(draftJob);
+    const { jobs } = await Job.findByCriteria({ title: "Draft" });
+    expect(jobs).toEqual([]);
+    const companyJobs = await Job.findAllByCompany("c1");
+    expect(companyJobs.map(j => j.title)).toEqual(["Job1"]);
+    const allCompanyJobs = await Job.findAllByCompany("c1", { includeDrafts: true });
+    expect(allCompanyJobs.map(j => j.title)).toEqual(["Draft Job", "Job1"]);
+  });
+
+  test("publish: works", async function () {
+    const { id } = await Job.create(draftJob);
+    const job = await Job.publish(id);
+    expect(job.status).toEqual("open");
+    expect(job.postedAt).toEqual(expect.any(Date));
+    expect(job.publishAt).toBeNull();
+  });
+
+  test("publish: a time that has passed opens it now", async function () {
+    const { id } = await Job.create(draftJob);
+    const job = await Job.publish(id, "2000-01-01T00:00:00Z");
+    expect(job.status).toEqual("open");
+    expect(job.postedAt).toEqual(new Date("2000-01-01T00:00:00Z"));
+    expect(job.publishAt).toBeNull();
+  });
+
+  test("publish: scheduled for later", async function () {
+    const { id } = await Job.create(draftJob);
+    const job = await Job.publish(id, "2999-01-01T00:00:00Z");
+    expect(job.status).toEqual("draft");
+    expect(job.publishAt).toEqual(expect.any(Date));
+  });
+
+  test("scheduled jobs open once their time comes", async function () {
+    const { id } = await Job.create({ ...draftJob, publishAt: "2999-01-01T00:00:00Z" });
+    expect((await Job.findByCriteria({ title: "Draft" })).jobs.length).toEqual(0);
+
+    await db.query(`UPDATE jobs SET publish_at = NOW() - INTERVAL '1 minute' WHERE id = $1`, [id]);
+    // reading doesn't publish them; publishDue (on a timer) does
+    expect((await Job.findByCriteria({ title: "Draft" })).jobs.length).toEqual(0);
+    expect(await Job.publishDue()).toEqual(1);
+    const { jobs } = await Job.findByCriteria({ title: "Draft" });
+    expect(jobs.map(j => j.id)).toEqual([id]);
+    expect(jobs[0].status).toEqual("open");
+  });
+
+  test("publish: reopens a closed job", async function () {
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = 1`);
+    const job = await Job.publish(1);
+    expect(job.status).toEqual("open");
+    expect(job.publishAt).toBeNull();
+  });
+
+  test("publish: bad request if already open", async function () {
+    try {
+      await Job.publish(1);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("create: bad request if open job is scheduled", async function () {
+    try {
+      await Job.create({ ...draftJob, status: "open", publishAt: "2999-01-01T00:00:00Z" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("unpublish: works", async function () {
+    const job = await Job.unpublish(1);
+    expect(job.status).toEqual("draft");
+    expect(job.postedAt).toBeNull();
+  });
+
+  test("unpublish: bad request if not open", async function () {
+    const { id } = await Job.create(draftJob);
+    try {
+      await Job.unpublish(id);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
+
 // /************************************** findAllByCompany */
 
 describe("findAllByCompany", function () {
@@ -99,9 +270,15 @@ describe("findAllByCompany", function () {
         {
         id: 1, 
         title: 'Job1', 
-        salary: 100000, 
+        salaryMin: 100000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0.01", 
-        companyHandle: 'c1'
+        companyHandle: 'c1',
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        publishAt: null
       }
     ]);
   });
@@ -110,80 +287,238 @@ describe("findAllByCompany", function () {
 /************************************** findByCriteria */
 
 describe("findByCriteria", function () {
+  test("works: paging", async function () {
+    const { jobs, page } = await Job.findByCriteria({}, { limit: 2, offset: 1 });
+    expect(jobs.map(j => j.title)).toEqual(["Job2", "Job3"]);
+    expect(page).toEqual({ total: 3, limit: 2, offset: 1, next: null, prev: { offset: 0 } });
+  });
+
+  test("works: sort", async function () {
+    const { jobs } = await Job.findByCriteria({ sort: "-salary,title" });
+    expect(jobs.map(j => j.title)).toEqual(["Job3", "Job1", "Job2"]);
+  });
+
+  test("bad request: cursor from a different sort", async function () {
+    const { page } = await Job.findByCriteria({ sort: "salary" }, { limit: 1 });
+    try {
+      await Job.findByCriteria({ sort: "title" }, { cursor: page.next.cursor });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  describe("salary ranges", function () {
+    beforeEach(async function () {
+      // Job1: 100000 - 150000 a year, Job2: 80000 a year, Job3: 50 - 70 an hour
+      await db.query(`UPDATE jobs SET salary_max = 150000 WHERE id = 1`);
+      await db.query(`UPDATE jobs SET salary_min = 50, salary_max = 70, pay_period = 'hourly' WHERE id = 3`);
+    });
+
+    test("works: minSalary finds ranges that reach it", async function () {
+      const { jobs } = await Job.findByCriteria({ minSalary: 140000 });
+      // Job3 pays up to 70 * 2080 = 145600 a year
+      expect(jobs.map(j => j.id)).toEqual([1, 3]);
+    });
+
+    test("works: maxSalary finds ranges that start below it", async function () {
+      const { jobs } = await Job.findByCriteria({ maxSalary: 100000 });
+      expect(jobs.map(j => j.id)).toEqual([1, 2]);
+    });
+
+    test("works: overlapping a range", async function () {
+      const { jobs } = await Job.findByCriteria({ minSalary: 85000, maxSalary: 95000 });
+      expect(jobs).toEqual([]);
+      const { jobs: wider } = await Job.findByCriteria({ minSalary: 85000, maxSalary: 105000 });
+      // Job3 starts at 50 * 2080 = 104000 a year
+      expect(wider.map(j => j.id)).toEqual([1, 3]);
+    });
+
+    test("works: payPeriod", async function () {
+      const { jobs } = await Job.findByCriteria({ payPeriod: "hourly", minSalary: 60 });
+      expect(jobs.map(j => j.id)).toEqual([3]);
+      expect(jobs[0]).toEqual(expect.objectContaining({ salaryMin: 50, salaryMax: 70, payPeriod: "hourly" }));
+    });
+
+    test("works: sort by yearly salary", async function () {
+      const { jobs } = await Job.findByCriteria({ sort: "-salary" });
+      expect(jobs.map(j => j.id)).toEqual([3, 1, 2]);
+      expect(jobs[0]).not.toHaveProperty("yearlySalary");
+    });
+
+    test("bad request if minSalary is greater than maxSalary", async function () {
+      try {
+        await Job.findByCriteria({ minSalary: 10, maxSalary: 5 });
+        fail();
+      } catch (err) {
+        expect(err instanceof BadRequestError).toBeTruthy();
+      }
+    });
+  });
+
+  test("works: equity range", async function () {
+    const { jobs } = await Job.findByCriteria({ minEquity: 0.01, maxEquity: 0.015 });
+    expect(jobs.map(j => j.title)).toEqual(["Job1"]);
+  });
+
+  test("bad request if minEquity is greater than maxEquity", async function () {
+    try {
+      await Job.findByCriteria({ minEquity: 0.5, maxEquity: 0.1 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: company filters", async function () {
+    const { jobs } = await Job.findByCriteria({ companyName: "c", minEmployees: 2, maxEmployees: 3 });
+    expect(jobs.map(j => j.title)).toEqual(["Job2", "Job3"]);
+    const { jobs: atC1 } = await Job.findByCriteria({ companyHandle: "c1" });
+    expect(atC1.map(j => j.title)).toEqual(["Job1"]);
+  });
+
+  test("works: includeCompany", async function () {
+    const { jobs } = await Job.findByCriteria({ title: "Job1", includeCompany: true });
+    expect(jobs[0].company).toEqual({
+      handle: "c1",
+      name: "C1",
+      numEmployees: 1,
+      logoUrl: "http://c1.img",
+    });
+  });
+
+  test("bad request if minEmployees is greater than maxEmployees", async function () {
+    try {
+      await Job.findByCriteria({ minEmployees: 3, maxEmployees: 2 });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("works: full-text search", async function () {
+    await db.query(`UPDATE jobs SET title = 'Senior Software Engineer' WHERE id = 2`);
+    const { jobs } = await Job.findByCriteria({ q: "engineering" });
+    expect(jobs.map(j => j.id)).toEqual([2]);
+    expect(jobs[0]).not.toHaveProperty("relevance");
+  });
+
   test("works: title filter", async function () {
-    const jobs = await Job.findByCriteria({ title: "Job" });
+    const { jobs } = await Job.findByCriteria({ title: "Job" });
     expect(jobs).toEqual([
       {
         id: 1, 
         title: 'Job1', 
-        salary: 100000, 
+        salaryMin: 100000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0.01",
-        companyHandle: 'c1'
+        companyHandle: 'c1',
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        publishAt: null
       },
       {
         id: 2, 
         title: 'Job2', 
-        salary: 80000, 
+        salaryMin: 80000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0.02",
-        companyHandle: 'c3'
+        companyHandle: 'c3',
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        publishAt: null
       },
       {
         id: 3,
         title: 'Job3',
-        salary: 120000,
+        salaryMin: 120000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0",
-        companyHandle: 'c3'
+        companyHandle: 'c3',
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        publishAt: null
       }
     ]);
   });
 
   test("works: minSalary filter", async function () {
-    const jobs = await Job.findByCriteria({ minSalary: 110000 });
+    const { jobs } = await Job.findByCriteria({ minSalary: 110000 });
     expect(jobs).toEqual([
       {
         id: 3,
         title: 'Job3',
-        salary: 120000,
+        salaryMin: 120000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0",
-        companyHandle: 'c3'
+        companyHandle: 'c3',
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        publishAt: null
       }
     ]);
   });
 
   test("works: hasEquity as true filter", async function () {
-    const jobs = await Job.findByCriteria({ hasEquity: true });
+    const { jobs } = await Job.findByCriteria({ hasEquity: true });
     expect(jobs).toEqual([
       {
         id: 1, 
         title: 'Job1', 
-        salary: 100000, 
+        salaryMin: 100000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0.01",
-        companyHandle: 'c1'
+        companyHandle: 'c1',
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        publishAt: null
       },
       {
         id: 2, 
         title: 'Job2', 
-        salary: 80000, 
+        salaryMin: 80000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0.02",
-        companyHandle: 'c3'
+        companyHandle: 'c3',
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        publishAt: null
       },
     ]);
   });
   test("works: hasEquity as false filter", async function () {
-    const jobs = await Job.findByCriteria({ hasEquity: false });
+    const { jobs } = await Job.findByCriteria({ hasEquity: false });
     expect(jobs).toEqual([
       {
         id: 3,
         title: 'Job3',
-        salary: 120000,
+        salaryMin: 120000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0",
-        companyHandle: 'c3'
+        companyHandle: 'c3',
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        publishAt: null
       }
     ]);
   });
 
   test("works: title, minSalary, hasEquity filters", async function () {
-    const jobs = await Job.findByCriteria({
+    const { jobs } = await Job.findByCriteria({
       title: "J",
       minSalary: 90000,
       hasEquity: true,
@@ -192,15 +527,46 @@ describe("findByCriteria", function () {
       {
         id: 1, 
         title: 'Job1', 
-        salary: 100000, 
+        salaryMin: 100000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0.01",
-        companyHandle: 'c1'
+        companyHandle: 'c1',
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        publishAt: null
       },
     ]);
   });
 });
 
 
+describe("findByCriteria: closed jobs", function () {
+  beforeEach(async function () {
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = 1`);
+    await db.query(`UPDATE jobs SET closes_at = NOW() - INTERVAL '1 day' WHERE id = 2`);
+  });
+
+  test("closed and expired jobs are left out", async function () {
+    const { jobs } = await Job.findByCriteria({});
+    expect(jobs.map(j => j.id)).toEqual([3]);
+  });
+
+  test("works: includeClosed", async function () {
+    const { jobs } = await Job.findByCriteria({ includeClosed: "true" });
+    expect(jobs.map(j => j.id)).toEqual([1, 2, 3]);
+  });
+
+  test("drafts only come with includeDrafts", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = 3`);
+    expect((await Job.findByCriteria({ includeClosed: true })).jobs.map(j => j.id)).toEqual([1, 2]);
+    expect((await Job.findByCriteria({ includeDrafts: true })).jobs.map(j => j.id)).toEqual([3]);
+    const { jobs } = await Job.findByCriteria({ includeClosed: true, includeDrafts: true });
+    expect(jobs.map(j => j.id)).toEqual([1, 2, 3]);
+  });
+});
+
 // /************************************** get */
 
 describe("get", function () {
@@ -209,9 +575,15 @@ describe("get", function () {
     expect(job).toEqual({
         id: 1, 
         title: 'Job1', 
-        salary: 100000, 
+        salaryMin: 100000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0.01", 
-        companyHandle: 'c1'
+        companyHandle: 'c1',
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        publishAt: null
     });
   });
 
@@ -229,7 +601,9 @@ describe("get", function () {
 
 describe("update", function () {
     const updateData = {
-        salary: 120000,
+        salaryMin: 120000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0.2",
         companyHandle: "c1",
     };
@@ -239,17 +613,21 @@ describe("update", function () {
     expect(job).toEqual({
         title: "Job1",
         id: 1,
+        status: "open",
+        postedAt: expect.any(Date),
+        closesAt: null,
+        publishAt: null,
         ...updateData
     });
 
     const result = await db.query(
-          `SELECT id, title, salary, equity, company_handle
+          `SELECT id, title, salary_min, equity, company_handle
            FROM jobs
            WHERE id = 1`);
     expect(result.rows).toEqual([{
         id: 1, 
         title: 'Job1', 
-        salary: 120000,
+        salary_min: 120000,
         equity: "0.2",
         company_handle: "c1",
     }]);
@@ -258,7 +636,9 @@ describe("update", function () {
 
   test("works: null fields", async function () {
     const updateDataSetNulls = {
-        salary: 90000
+        salaryMin: 90000,
+        salaryMax: null,
+        payPeriod: "yearly"
     };
 
     let job = await Job.update(1, updateDataSetNulls);
@@ -267,17 +647,21 @@ describe("update", function () {
       title: "Job1",
       equity: "0.01",
       companyHandle: "c1",
+      status: "open",
+      postedAt: expect.any(Date),
+      closesAt: null,
+      publishAt: null,
       ...updateDataSetNulls,
     });
 
     const result = await db.query(
-        `SELECT id, title, salary, equity, company_handle
+        `SELECT id, title, salary_min, equity, company_handle
         FROM jobs
         WHERE id = 1`);
     expect(result.rows).toEqual([{
         id: 1, 
         title: 'Job1', 
-        salary: 90000,
+        salary_min: 90000,
         equity: "0.01",
         company_handle: "c1",
     }]);
@@ -295,6 +679,16 @@ describe("update", function () {
 
 
 
+  test("fails the salary range check if it leaves salaryMin above salaryMax", async function () {
+    try {
+      // Job1 has a salaryMin of 100000
+      await Job.update(1, { salaryMax: 50000 });
+      fail();
+    } catch (err) {
+      expect(err.constraint).toEqual("jobs_salary_range_check");
+    }
+  });
+
   test("bad request with no data", async function () {
     try {
       await Job.update(1, {});
@@ -327,3 +721,96 @@ describe("remove", function () {
   });
 });
 
+/************************************** getApplications */
+
+describe("getApplications", function () {
+  beforeEach(async function () {
+    await db.query(
+        `UPDATE applications SET applied_at = '2023-01-01'
+         WHERE username = 'u1' AND job_id = 2`);
+    await db.query(
+        `INSERT INTO applications
+           (username, job_id, status, applied_at, cover_letter, answers)
+         VALUES ('u2', 2, 'screening', '2023-02-01', 'Hire me',
+                 '[{"questionId": 1, "answer": "yes"}]')`);
+  });
+
+  test("works", async function () {
+    const { applications, page } = await Job.getApplications(2);
+    expect(applications).toEqual([
+      {
+        username: "u1",
+        firstName: "U1F",
+        lastName: "U1L",
+        email: "u1@email.com",
+        appliedAt: expect.any(Date),
+        status: "applied",
+        coverLetter: null,
+        answers: null,
+        resumeVersion: null,
+      },
+      {
+        username: "u2",
+        firstName: "U2F",
+        lastName: "U2L",
+        email: "u2@email.com",
+        appliedAt: expect.any(Date),
+        status: "screening",
+        coverLetter: "Hire me",
+        answers: [{ questionId: 1, answer: "yes" }],
+        resumeVersion: null,
+      },
+    ]);
+    expect(page).toEqual({ total: 2, limit: 20, offset: null, next: null, prev: null });
+  });
+
+  test("works: status filter", async function () {
+    const { applications, page } = await Job.getApplications(2, { status: "screening" });
+    expect(applications.map(a => a.username)).toEqual(["u2"]);
+    expect(page.total).toEqual(1);
+  });
+
+  test("works: newest first", async function () {
+    const { applications } = await Job.getApplications(2, { sort: "-appliedAt" });
+    expect(applications.map(a => a.username)).toEqual(["u2", "u1"]);
+  });
+
+  test("works: limit and offset", async function () {
+    const { applications, page } = await Job.getApplications(2, {}, { limit: 1, offset: 1 });
+    expect(applications.map(a => a.username)).toEqual(["u2"]);
+    expect(page).toEqual({ total: 2, limit: 1, offset: 1, next: null, prev: { offset: 0 } });
+  });
+
+  test("works: cursors", async function () {
+    const first = await Job.getApplications(2, { sort: "-appliedAt" }, { limit: 1 });
+    expect(first.applications.map(a => a.username)).toEqual(["u2"]);
+    const second = await Job.getApplications(
+        2, { sort: "-appliedAt" }, { limit: 1, cursor: first.page.next.cursor });
+    expect(second.applications.map(a => a.username)).toEqual(["u1"]);
+    expect(second.page.next).toBeNull();
+  });
+
+  test("works: cursors through applications made in the same millisecond", async function () {
+    await db.query(
+        `UPDATE applications SET applied_at = '2023-01-01 00:00:00.000400'
+         WHERE job_id = 2`);
+    const first = await Job.getApplications(2, {}, { limit: 1 });
+    const second = await Job.getApplications(2, {}, { limit: 1, cursor: first.page.next.cursor });
+    expect([...first.applications, ...second.applications].map(a => a.username))
+        .toEqual(["u1", "u2"]);
+  });
+
+  test("works: no applications", async function () {
+    const { applications } = await Job.getApplications(1);
+    expect(applications).toEqual([]);
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Job.getApplications(9999999);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,99 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { renderMail } = require("../helpers/mailTemplates");
+const { APP_URL, PASSWORD_RESET_TTL_MINUTES } = require("../config");
+const EmailOutbox = require("./emailOutbox");
+const User = require("./user");
+
+/** Related functions for resetting forgotten passwords.
+ *
+ * Requesting a reset emails the user a token; the token sets a new password
+ * once, within PASSWORD_RESET_TTL_MINUTES. Only the latest token a user was
+ * sent works, and using it voids any others. Only hashes of the tokens are
+ * stored.
+ */
+
+class PasswordReset {
+  /** Start a password reset: queue an email to the user with a link to the
+   * frontend's reset page, carrying a reset token.
+   *
+   * Does nothing if there's no such user, so callers can't tell who has an
+   * account; returns undefined either way.
+   **/
+
+  static async request(username) {
+    await db.withTransaction(async () => {
+      const userRes = await db.query(
+            `SELECT username, email, first_name AS "firstName"
+             FROM users
+             WHERE username = $1`,
+          [username]);
+      const user = userRes.rows[0];
+      if (!user) return;
+
+      // a new request voids the tokens sent before it
+      await db.query(
+            `UPDATE password_reset_tokens
+             SET used_at = CURRENT_TIMESTAMP
+             WHERE username = $1 AND used_at IS NULL`,
+          [user.username]);
+
+      const token = createRandomToken();
+      await db.query(
+            `INSERT INTO password_reset_tokens (username, token_hash, expires_at)
+             VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))`,
+          [user.username, hashToken(token), PASSWORD_RESET_TTL_MINUTES]);
+
+      await EmailOutbox.enqueue({
+        to: user.email,
+        ...renderMail("passwordReset", {
+          firstName: user.firstName,
+          username: user.username,
+          link: `${APP_URL}/reset-password?token=${token}`,
+          ttlMinutes: PASSWORD_RESET_TTL_MINUTES,
+        }),
+      });
+    });
+  }
+
+  /** Finish a password reset: use the token to set a new password.
+   *
+   * The user's other reset tokens stop working, and they're signed out
+   * everywhere (see User.update).
+   *
+   * Returns { username }
+   *
+   * Throws BadRequestError if the token is unknown, expired or already used.
+   **/
+
+  static async confirm(token, password) {
+    return db.withTransaction(async () => {
+      const result = await db.query(
+            `UPDATE password_reset_tokens
+             SET used_at = CURRENT_TIMESTAMP
+             WHERE token_hash = $1
+               AND used_at IS NULL
+               AND expires_at > CURRENT_TIMESTAMP
+             RETURNING username`,
+          [hashToken(token)]);
+      const reset = result.rows[0];
+
+      if (!reset) throw new BadRequestError("Invalid or expired reset token");
+
+      // any other tokens the user was sent stop working too
+      await db.query(
+            `UPDATE password_reset_tokens
+             SET used_at = CURRENT_TIMESTAMP
+             WHERE username = $1 AND used_at IS NULL`,
+          [reset.username]);
+
+      await User.update(reset.username, { password });
+      return { username: reset.username };
+    });
+  }
+}
+
+module.exports = PasswordReset;
@@ -0,0 +1,133 @@
+"use strict";
+
+const bcrypt = require("bcrypt");
+const db = require("../db.js");
+const { BadRequestError } = require("../expressError");
+const PasswordReset = require("./passwordReset.js");
+const EmailOutbox = require("./emailOutbox.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/** Request a reset for a user and return the token from the email they get. */
+
+async function requestToken(username) {
+  await PasswordReset.request(username);
+  const emails = await EmailOutbox.pending();
+  return /token=([A-Za-z0-9_-]+)/.exec(emails[emails.length - 1].text)[1];
+}
+
+/************************************** request */
+
+describe("request", function () {
+  test("works", async function () {
+    await PasswordReset.request("u1");
+
+    const emails = await EmailOutbox.pending();
+    expect(emails.length).toEqual(1);
+    expect(emails[0].to).toEqual("u1@email.com");
+    expect(emails[0].subject).toEqual("Reset your Jobly password");
+    expect(emails[0].text).toMatch(/\/reset-password\?token=/);
+    expect(emails[0].html).toMatch(/<a href="[^"]*\/reset-password\?token=/);
+
+    const found = await db.query(
+        "SELECT username, token_hash FROM password_reset_tokens");
+    expect(found.rows.length).toEqual(1);
+    expect(found.rows[0].username).toEqual("u1");
+    // only the hash is stored
+    expect(emails[0].text).not.toContain(found.rows[0].token_hash);
+  });
+
+  test("voids the tokens sent before", async function () {
+    const first = await requestToken("u1");
+    const second = await requestToken("u1");
+    try {
+      await PasswordReset.confirm(first, "newpassword");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    expect(await PasswordReset.confirm(second, "newpassword")).toEqual({ username: "u1" });
+  });
+
+  test("does nothing for an unknown user", async function () {
+    await PasswordReset.request("nope");
+    expect(await EmailOutbox.pending()).toEqual([]);
+    const found = await db.query("SELECT * FROM password_reset_tokens");
+    expect(found.rows.length).toEqual(0);
+  });
+});
+
+/************************************** confirm */
+
+describe("confirm", function () {
+  test("works", async function () {
+    const token = await requestToken("u1");
+    const result = await PasswordReset.confirm(token, "newpassword");
+    expect(result).toEqual({ username: "u1" });
+
+    const found = await db.query("SELECT password FROM users WHERE username = 'u1'");
+    expect(await bcrypt.compare("newpassword", found.rows[0].password)).toEqual(true);
+    // and existing sessions are ended
+    expect(await User.getTokenVersion("u1")).toEqual(1);
+  });
+
+  test("bad request for a used token", async function () {
+    const token = await requestToken("u1");
+    await PasswordReset.confirm(token, "newpassword");
+    try {
+      await PasswordReset.confirm(token, "another");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("voids the user's other tokens", async function () {
+    const other = await requestToken("u1");
+    const token = await requestToken("u1");
+    // as if both were still outstanding
+    await db.query("UPDATE password_reset_tokens SET used_at = NULL");
+
+    await PasswordReset.confirm(token, "newpassword");
+    const unused = await db.query(
+        "SELECT COUNT(*) AS count FROM password_reset_tokens WHERE used_at IS NULL");
+    expect(Number(unused.rows[0].count)).toEqual(0);
+    try {
+      await PasswordReset.confirm(other, "another");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request for an expired token", async function () {
+    const token = await requestToken("u1");
+    await db.query(
+        "UPDATE password_reset_tokens SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute'");
+    try {
+      await PasswordReset.confirm(token, "newpassword");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request for an unknown token", async function () {
+    try {
+      await PasswordReset.confirm("nope", "newpassword");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
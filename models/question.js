@@ -0,0 +1,263 @@
+"use strict";
+
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const Job = require("./job");
+
+const QUESTION_TYPES = ["boolean", "number", "choice", "text"];
+
+// the JS type an answer must have for each question type
+const ANSWER_TYPES = {
+  boolean: "boolean",
+  number: "number",
+  choice: "string",
+  text: "string",
+};
+
+/** Check that an answer fits the question it's answering.
+ *
+ * Throws BadRequestError if not.
+ */
+
+function ensureValidAnswer(question, answer) {
+  if (typeof answer !== ANSWER_TYPES[question.type]) {
+    throw new BadRequestError(
+        `Answer to question ${question.id} must be a ${ANSWER_TYPES[question.type]}`);
+  }
+  if (question.type === "choice" && !question.choices.includes(answer)) {
+    throw new BadRequestError(
+        `Answer to question ${question.id} must be one of: ${question.choices.join(", ")}`);
+  }
+}
+
+/** Check that a question's type, choices and knockout answer agree.
+ *
+ * Throws BadRequestError if not.
+ */
+
+function ensureValidQuestion({ id, type, choices, knockoutAnswer }) {
+  if (!QUESTION_TYPES.includes(type)) {
+    throw new BadRequestError(`Invalid question type: ${type}`);
+  }
+  if (type === "choice" && !(Array.isArray(choices) && choices.length)) {
+    throw new BadRequestError("Choice questions need a list of choices");
+  }
+  if (type !== "choice" && choices) {
+    throw new BadRequestError("Only choice questions can have choices");
+  }
+  if (knockoutAnswer !== undefined && knockoutAnswer !== null) {
+    ensureValidAnswer({ id, type, choices }, knockoutAnswer);
+  }
+}
+
+/** Related functions for the screening questions asked when applying to a job. */
+
+class Question {
+  /** Create a screening question for a job, update db, return new question data.
+   *
+   * data should be { text, type, choices, required, knockoutAnswer }
+   *   where type is one of boolean, number, choice or text,
+   *   choices is only given (and required) for choice questions,
+   *   and an application answering knockoutAnswer is rejected automatically.
+   *
+   * Returns { id, jobId, text, type, choices, required, knockoutAnswer }
+   *
+   * Throws NotFoundError if job not found, BadRequestError on inconsistent data.
+   * */
+
+  static async create(jobId, { text, type, choices = null, required = false, knockoutAnswer = null }) {
+    ensureValidQuestion({ type, choices, knockoutAnswer });
+    await Job.get(jobId);
+
+    const result = await db.query(
+          `INSERT INTO screening_questions
+           (job_id, text, type, choices, required, knockout_answer)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING id,
+                     job_id AS "jobId",
+                     text,
+                     type,
+                     choices,
+                     required,
+                     knockout_answer AS "knockoutAnswer"`,
+        [
+          jobId,
+          text,
+          type,
+          choices === null ? null : JSON.stringify(choices),
+          required,
+          knockoutAnswer === null ? null : JSON.stringify(knockoutAnswer),
+        ],
+    );
+
+    return result.rows[0];
+  }
+
+  /** Find all screening questions for a job.
+   *
+   * Draft jobs count as not found unless includeDrafts is true (for admins).
+   *
+   * Returns [{ id, jobId, text, type, choices, required, knockoutAnswer }, ...]
+   *
+   * Throws NotFoundError if job not found.
+   * */
+
+  static async findAllForJob(jobId, { includeDrafts = false } = {}) {
+    const job = await Job.get(jobId);
+    if (job.status === "draft" && !includeDrafts) {
+      throw new NotFoundError(`No job with an id of ${jobId}`);
+    }
+
+    const result = await db.query(
+          `SELECT id,
+                  job_id AS "jobId",
+                  text,
+                  type,
+                  choices,
+                  required,
+                  knockout_answer AS "knockoutAnswer"
+           FROM screening_questions
+           WHERE job_id = $1
+           ORDER BY id`,
+        [jobId]);
+
+    return result.rows;
+  }
+
+  /** Given a job id and question id, return data about the question.
+   *
+   * Returns { id, jobId, text, type, choices, required, knockoutAnswer }
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async get(jobId, id) {
+    const result = await db.query(
+          `SELECT id,
+                  job_id AS "jobId",
+                  text,
+                  type,
+                  choices,
+                  required,
+                  knockout_answer AS "knockoutAnswer"
+           FROM screening_questions
+           WHERE job_id = $1 AND id = $2`,
+        [jobId, id]);
+
+    const question = result.rows[0];
+
+    if (!question) throw new NotFoundError(`No question ${id} for job: ${jobId}`);
+    return question;
+  }
+
+  /** Update question data with `data`.
+   *
+   * This is a "partial update" --- it's fine if data doesn't contain all the
+   * fields; this only changes provided ones.
+   *
+   * Data can include: { text, type, choices, required, knockoutAnswer }
+   *
+   * Returns { id, jobId, text, type, choices, required, knockoutAnswer }
+   *
+   * Throws NotFoundError if not found, BadRequestError on inconsistent data.
+   */
+
+  static async update(jobId, id, data) {
+    const existing = await Question.get(jobId, id);
+    ensureValidQuestion({ ...existing, ...data });
+
+    const jsonData = { ...data };
+    for (const field of ["choices", "knockoutAnswer"]) {
+      if (jsonData[field] !== undefined && jsonData[field] !== null) {
+        jsonData[field] = JSON.stringify(jsonData[field]);
+      }
+    }
+
+    const { setCols, values } = sqlForPartialUpdate(
+        jsonData,
+        {
+          knockoutAnswer: "knockout_answer",
+        });
+    const jobIdx = "$" + (values.length + 1);
+    const idIdx = "$" + (values.length + 2);
+
+    const querySql = `UPDATE screening_questions
+                      SET ${setCols}
+                      WHERE job_id = ${jobIdx} AND id = ${idIdx}
+                      RETURNING id,
+                                job_id AS "jobId",
+                                text,
+                                type,
+                                choices,
+                                required,
+                                knockout_answer AS "knockoutAnswer"`;
+    const result = await db.query(querySql, [...values, jobId, id]);
+
+    return result.rows[0];
+  }
+
+  /** Delete given question from database; returns undefined.
+   *
+   * Throws NotFoundError if question not found.
+   **/
+
+  static async remove(jobId, id) {
+    const result = await db.query(
+          `DELETE
+           FROM screening_questions
+           WHERE job_id = $1 AND id = $2
+           RETURNING id`,
+        [jobId, id]);
+
+    if (!result.rows[0]) throw new NotFoundError(`No question ${id} for job: ${jobId}`);
+  }
+
+  /** Check a set of answers against a job's screening questions.
+   *
+   * answers is [{ questionId, answer }, ...]. Every required question must be
+   * answered, and each answer must fit its question.
+   *
+   * Returns the first question whose knockout answer was given, or undefined.
+   *
+   * Throws BadRequestError if the answers are not valid for the job.
+   */
+
+  static async screenAnswers(jobId, answers = []) {
+    const result = await db.query(
+          `SELECT id,
+                  type,
+                  choices,
+                  required,
+                  knockout_answer AS "knockoutAnswer"
+           FROM screening_questions
+           WHERE job_id = $1
+           ORDER BY id`,
+        [jobId]);
+    const questions = result.rows;
+
+    const answered = new Map();
+    for (const { questionId, answer } of answers) {
+      const question = questions.find(q => q.id === questionId);
+      if (!question) {
+        throw new BadRequestError(`No question ${questionId} for job: ${jobId}`);
+      }
+      if (answered.has(questionId)) {
+        throw new BadRequestError(`Question ${questionId} answered more than once`);
+      }
+      ensureValidAnswer(question, answer);
+      answered.set(questionId, answer);
+    }
+
+    const missing = questions.filter(q => q.required && !answered.has(q.id));
+    if (missing.length) {
+      throw new BadRequestError(
+          `Missing answers to required questions: ${missing.map(q => q.id).join(", ")}`);
+    }
+
+    return questions.find(q =>
+        q.knockoutAnswer !== null && answered.get(q.id) === q.knockoutAnswer);
+  }
+}
+
+module.exports = Question;
@@ -0,0 +1,228 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const Question = require("./question.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** create */
+
+describe("create", function () {
+  test("works", async function () {
+    const question = await Question.create(2, {
+      text: "Preferred office?",
+      type: "choice",
+      choices: ["Remote", "NYC"],
+      required: true,
+      knockoutAnswer: "NYC",
+    });
+    expect(question).toEqual({
+      id: expect.any(Number),
+      jobId: 2,
+      text: "Preferred office?",
+      type: "choice",
+      choices: ["Remote", "NYC"],
+      required: true,
+      knockoutAnswer: "NYC",
+    });
+  });
+
+  test("works: defaults", async function () {
+    const question = await Question.create(2, { text: "Why us?", type: "text" });
+    expect(question).toEqual({
+      id: expect.any(Number),
+      jobId: 2,
+      text: "Why us?",
+      type: "text",
+      choices: null,
+      required: false,
+      knockoutAnswer: null,
+    });
+  });
+
+  test("bad request if choice question has no choices", async function () {
+    try {
+      await Question.create(2, { text: "Office?", type: "choice" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if knockout answer does not fit type", async function () {
+    try {
+      await Question.create(2, { text: "Authorized?", type: "boolean", knockoutAnswer: "no" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such job", async function () {
+    try {
+      await Question.create(9999, { text: "Why us?", type: "text" });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** findAllForJob */
+
+describe("findAllForJob", function () {
+  test("works", async function () {
+    const questions = await Question.findAllForJob(1);
+    expect(questions).toEqual([
+      {
+        id: 1,
+        jobId: 1,
+        text: "Years of Node experience?",
+        type: "number",
+        choices: null,
+        required: false,
+        knockoutAnswer: null,
+      },
+      {
+        id: 2,
+        jobId: 1,
+        text: "Are you authorized to work in the US?",
+        type: "boolean",
+        choices: null,
+        required: false,
+        knockoutAnswer: false,
+      },
+    ]);
+  });
+
+  test("works: no questions", async function () {
+    const questions = await Question.findAllForJob(3);
+    expect(questions).toEqual([]);
+  });
+
+  test("draft jobs only with includeDrafts", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = 1`);
+    try {
+      await Question.findAllForJob(1);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+    const questions = await Question.findAllForJob(1, { includeDrafts: true });
+    expect(questions.length).toEqual(2);
+  });
+});
+
+/************************************** update */
+
+describe("update", function () {
+  test("works", async function () {
+    const question = await Question.update(1, 1, { required: true, knockoutAnswer: 0 });
+    expect(question).toEqual({
+      id: 1,
+      jobId: 1,
+      text: "Years of Node experience?",
+      type: "number",
+      choices: null,
+      required: true,
+      knockoutAnswer: 0,
+    });
+  });
+
+  test("works: clear knockout answer", async function () {
+    const question = await Question.update(1, 2, { knockoutAnswer: null });
+    expect(question.knockoutAnswer).toEqual(null);
+  });
+
+  test("bad request if type change leaves knockout answer invalid", async function () {
+    try {
+      await Question.update(1, 2, { type: "number" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if question belongs to another job", async function () {
+    try {
+      await Question.update(2, 1, { required: true });
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** remove */
+
+describe("remove", function () {
+  test("works", async function () {
+    await Question.remove(1, 1);
+    const res = await db.query("SELECT id FROM screening_questions WHERE id = 1");
+    expect(res.rows.length).toEqual(0);
+  });
+
+  test("not found if no such question", async function () {
+    try {
+      await Question.remove(1, 9999);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** screenAnswers */
+
+describe("screenAnswers", function () {
+  test("works: no knockout", async function () {
+    const knockout = await Question.screenAnswers(1, [
+      { questionId: 1, answer: 3 },
+      { questionId: 2, answer: true },
+    ]);
+    expect(knockout).toBeUndefined();
+  });
+
+  test("works: knockout answer given", async function () {
+    const knockout = await Question.screenAnswers(1, [{ questionId: 2, answer: false }]);
+    expect(knockout.id).toEqual(2);
+  });
+
+  test("bad request if required question is unanswered", async function () {
+    await Question.update(1, 1, { required: true });
+    try {
+      await Question.screenAnswers(1, []);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if answer has the wrong type", async function () {
+    try {
+      await Question.screenAnswers(1, [{ questionId: 1, answer: "lots" }]);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if question is for another job", async function () {
+    try {
+      await Question.screenAnswers(2, [{ questionId: 1, answer: 3 }]);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+});
@@ -0,0 +1,117 @@
+"use strict";
+
+const crypto = require("crypto");
+const db = require("../db");
+const { UnauthorizedError } = require("../expressError");
+const { createRandomToken, hashToken } = require("../helpers/tokens");
+const { REFRESH_TOKEN_TTL_DAYS } = require("../config");
+
+/** Related functions for refresh tokens.
+ *
+ * Logging in starts a family of refresh tokens. Each token can be used once:
+ * using it gets a new access token and the next refresh token in the family.
+ * A used token turning up again means someone else has a copy, so the whole
+ * family is revoked and its owner has to log in again.
+ *
+ * Only hashes of the tokens are stored. Each token also records its user's
+ * token version when it was issued, so signing the user out everywhere
+ * (which changes that) stops it working too.
+ */
+
+class RefreshToken {
+  /** Issue a refresh token for a user, in a new family unless familyId is given.
+   *
+   * Returns { refreshToken, expiresAt }
+   **/
+
+  static async issue(username, familyId = crypto.randomUUID()) {
+    const refreshToken = createRandomToken();
+    const result = await db.query(
+          `INSERT INTO refresh_tokens (username, token_hash, family_id, token_version, expires_at)
+           SELECT username, $2, $3, token_version, CURRENT_TIMESTAMP + make_interval(days => $4)
+           FROM users
+           WHERE username = $1
+           RETURNING expires_at AS "expiresAt"`,
+        [username, hashToken(refreshToken), familyId, REFRESH_TOKEN_TTL_DAYS]);
+
+    return { refreshToken, expiresAt: result.rows[0].expiresAt };
+  }
+
+  /** Use a refresh token: mark it used, and issue the next one in its family.
+   *
+   * Returns { user, refreshToken, expiresAt }
+   *   where user is { username, isAdmin, tokenVersion } as stored now, for a
+   *   new access token
+   *
+   * Throws UnauthorizedError if the token is unknown, expired or revoked, was
+   * issued before the user was signed out everywhere, or was used before (in
+   * which case its whole family is revoked).
+   **/
+
+  static async rotate(refreshToken) {
+    const outcome = await db.withTransaction(async () => {
+      // FOR UPDATE: of two requests using the same token, the second sees it used
+      const result = await db.query(
+            `SELECT rt.id,
+                    rt.family_id AS "familyId",
+                    rt.used_at AS "usedAt",
+                    rt.revoked_at AS "revokedAt",
+                    rt.expires_at <= CURRENT_TIMESTAMP AS "isExpired",
+                    rt.token_version <> u.token_version AS "isSignedOut",
+                    u.username,
+                    u.is_admin AS "isAdmin",
+                    u.token_version AS "tokenVersion"
+             FROM refresh_tokens AS rt
+             JOIN users AS u ON u.username = rt.username
+             WHERE rt.token_hash = $1
+             FOR UPDATE OF rt`,
+          [hashToken(refreshToken)]);
+      const token = result.rows[0];
+
+      if (!token || token.revokedAt || token.isExpired || token.isSignedOut) {
+        return { error: "Invalid refresh token" };
+      }
+      if (token.usedAt) {
+        await RefreshToken.revokeFamily(token.familyId);
+        return { error: "Refresh token was already used; log in again" };
+      }
+
+      await db.query(
+            `UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1`,
+          [token.id]);
+      const next = await RefreshToken.issue(token.username, token.familyId);
+      const { username, isAdmin, tokenVersion } = token;
+      return { user: { username, isAdmin, tokenVersion }, ...next };
+    });
+
+    // thrown only now, so revoking the family isn't rolled back with the transaction
+    if (outcome.error) throw new UnauthorizedError(outcome.error);
+    return outcome;
+  }
+
+  /** Revoke the family a refresh token belongs to, e.g. on logout.
+   *
+   * Unknown tokens are ignored.
+   **/
+
+  static async revoke(refreshToken) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = CURRENT_TIMESTAMP
+           WHERE revoked_at IS NULL
+             AND family_id = (SELECT family_id FROM refresh_tokens WHERE token_hash = $1)`,
+        [hashToken(refreshToken)]);
+  }
+
+  /** Revoke every token in a family. */
+
+  static async revokeFamily(familyId) {
+    await db.query(
+          `UPDATE refresh_tokens
+           SET revoked_at = CURRENT_TIMESTAMP
+           WHERE family_id = $1 AND revoked_at IS NULL`,
+        [familyId]);
+  }
+}
+
+module.exports = RefreshToken;
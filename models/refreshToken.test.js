@@ -0,0 +1,135 @@
+"use strict";
+
+const db = require("../db.js");
+const { UnauthorizedError } = require("../expressError");
+const RefreshToken = require("./refreshToken.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** issue */
+
+describe("issue", function () {
+  test("works", async function () {
+    const { refreshToken, expiresAt } = await RefreshToken.issue("u1");
+    expect(refreshToken).toEqual(expect.any(String));
+    expect(expiresAt > new Date()).toBeTruthy();
+
+    const found = await db.query(
+        "SELECT username, token_hash FROM refresh_tokens WHERE username = 'u1'");
+    expect(found.rows.length).toEqual(1);
+    // only the hash is stored
+    expect(found.rows[0].token_hash).not.toEqual(refreshToken);
+  });
+});
+
+/************************************** rotate */
+
+describe("rotate", function () {
+  test("works", async function () {
+    const { refreshToken } = await RefreshToken.issue("u1");
+    const rotated = await RefreshToken.rotate(refreshToken);
+    expect(rotated).toEqual({
+      user: { username: "u1", isAdmin: false, tokenVersion: 0 },
+      refreshToken: expect.any(String),
+      expiresAt: expect.any(Date),
+    });
+    expect(rotated.refreshToken).not.toEqual(refreshToken);
+
+    // and the new one works in turn
+    const again = await RefreshToken.rotate(rotated.refreshToken);
+    expect(again.user.username).toEqual("u1");
+  });
+
+  test("gives the user's current admin status", async function () {
+    const { refreshToken } = await RefreshToken.issue("u1");
+    await db.query("UPDATE users SET is_admin = TRUE WHERE username = 'u1'");
+    const rotated = await RefreshToken.rotate(refreshToken);
+    expect(rotated.user.isAdmin).toEqual(true);
+  });
+
+  test("unauth once the user is signed out everywhere", async function () {
+    const { refreshToken } = await RefreshToken.issue("u1");
+    await db.query("UPDATE users SET token_version = token_version + 1 WHERE username = 'u1'");
+    try {
+      await RefreshToken.rotate(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth for an unknown token", async function () {
+    try {
+      await RefreshToken.rotate("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("unauth for an expired token", async function () {
+    const { refreshToken } = await RefreshToken.issue("u1");
+    await db.query(
+        "UPDATE refresh_tokens SET expires_at = CURRENT_TIMESTAMP - INTERVAL '1 minute'");
+    try {
+      await RefreshToken.rotate(refreshToken);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("reuse revokes the whole family", async function () {
+    const { refreshToken: first } = await RefreshToken.issue("u1");
+    const { refreshToken: second } = await RefreshToken.rotate(first);
+    const { refreshToken: other } = await RefreshToken.issue("u1");
+
+    try {
+      await RefreshToken.rotate(first);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+
+    // the token that replaced the reused one no longer works either
+    try {
+      await RefreshToken.rotate(second);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+
+    // but other logins are left alone
+    const rotated = await RefreshToken.rotate(other);
+    expect(rotated.user.username).toEqual("u1");
+  });
+});
+
+/************************************** revoke */
+
+describe("revoke", function () {
+  test("works", async function () {
+    const { refreshToken: first } = await RefreshToken.issue("u1");
+    const { refreshToken: second } = await RefreshToken.rotate(first);
+    await RefreshToken.revoke(second);
+    try {
+      await RefreshToken.rotate(second);
+      fail();
+    } catch (err) {
+      expect(err instanceof UnauthorizedError).toBeTruthy();
+    }
+  });
+
+  test("ignores unknown tokens", async function () {
+    await RefreshToken.revoke("nope");
+  });
+});
@@ -0,0 +1,119 @@
+"use strict";
+
+const crypto = require("crypto");
+const path = require("path");
+const db = require("../db");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { getStorage } = require("../helpers/storage");
+
+/** Résumé file types we accept, and the bytes a file of that type starts with. */
+
+const RESUME_TYPES = {
+  "application/pdf": {
+    extension: ".pdf",
+    signature: Buffer.from("%PDF-"),
+  },
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": {
+    extension: ".docx",
+    // .docx files are zip archives
+    signature: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+  },
+};
+
+/** Related functions for users' résumés.
+ *
+ * Every upload is kept as a new version, so applications can point at the
+ * exact résumé that was submitted. The file itself lives in the storage
+ * driver from helpers/storage.js; the database only keeps its details.
+ */
+
+class Resume {
+  /** Upload a new résumé version for a user.
+   *
+   * file should be { filename, mimeType, data } where data is a Buffer.
+   *
+   * Returns { username, version, filename, mimeType, size, uploadedAt }
+   *
+   * Throws NotFoundError if user not found, BadRequestError if the file is
+   * not a PDF or DOCX.
+   **/
+
+  static async upload(username, { filename, mimeType, data }) {
+    const type = RESUME_TYPES[mimeType];
+    if (!type) {
+      throw new BadRequestError("Résumé must be a PDF or DOCX file");
+    }
+    if (!data.subarray(0, type.signature.length).equals(type.signature)) {
+      throw new BadRequestError(`File content does not match type: ${mimeType}`);
+    }
+
+    const userRes = await db.query(
+          `SELECT username FROM users WHERE username = $1`,
+        [username]);
+    if (!userRes.rows[0]) throw new NotFoundError(`No user: ${username}`);
+
+    const storageKey = `${username}/${crypto.randomUUID()}${type.extension}`;
+    const storage = getStorage();
+    await storage.save(storageKey, data);
+
+    try {
+      const result = await db.query(
+            `INSERT INTO resumes
+             (username, version, filename, mime_type, size, storage_key)
+             VALUES ($1,
+                     (SELECT COALESCE(MAX(version), 0) + 1
+                      FROM resumes
+                      WHERE username = $1::varchar),
+                     $2, $3, $4, $5)
+             RETURNING username,
+                       version,
+                       filename,
+                       mime_type AS "mimeType",
+                       size,
+                       uploaded_at AS "uploadedAt"`,
+          [username, path.basename(filename), mimeType, data.length, storageKey]);
+
+      return result.rows[0];
+    } catch (err) {
+      // don't leave an orphaned file behind if the database rejected it
+      await storage.remove(storageKey);
+      throw err;
+    }
+  }
+
+  /** Given a username, return details of their résumé, plus the file itself.
+   *
+   * Returns the latest version unless `version` is given.
+   *
+   * Returns { username, version, filename, mimeType, size, uploadedAt, data }
+   *
+   * Throws NotFoundError if there is no such résumé.
+   **/
+
+  static async get(username, version) {
+    const result = await db.query(
+          `SELECT username,
+                  version,
+                  filename,
+                  mime_type AS "mimeType",
+                  size,
+                  uploaded_at AS "uploadedAt",
+                  storage_key AS "storageKey"
+           FROM resumes
+           WHERE username = $1
+             AND ($2::integer IS NULL OR version = $2)
+           ORDER BY version DESC
+           LIMIT 1`,
+        [username, version === undefined ? null : version]);
+
+    const resume = result.rows[0];
+
+    if (!resume) throw new NotFoundError(`No résumé for user: ${username}`);
+
+    const { storageKey, ...details } = resume;
+    const data = await getStorage().read(storageKey);
+    return { ...details, data };
+  }
+}
+
+module.exports = Resume;
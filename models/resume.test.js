@@ -0,0 +1,138 @@
+"use strict";
+
+const db = require("../db.js");
+const { BadRequestError, NotFoundError } = require("../expressError");
+const { getStorage, setStorage } = require("../helpers/storage");
+const Resume = require("./resume.js");
+const User = require("./user.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+// keep uploaded files in memory, rather than on disk
+const files = new Map();
+const originalStorage = getStorage();
+
+beforeAll(function () {
+  setStorage({
+    save: async (key, data) => files.set(key, data),
+    read: async (key) => files.get(key),
+    remove: async (key) => files.delete(key),
+  });
+});
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+afterAll(function () {
+  setStorage(originalStorage);
+});
+
+const pdf = {
+  filename: "cv.pdf",
+  mimeType: "application/pdf",
+  data: Buffer.from("%PDF-1.4 my resume"),
+};
+
+/************************************** upload */
+
+describe("upload", function () {
+  test("works", async function () {
+    const resume = await Resume.upload("u1", pdf);
+    expect(resume).toEqual({
+      username: "u1",
+      version: 1,
+      filename: "cv.pdf",
+      mimeType: "application/pdf",
+      size: pdf.data.length,
+      uploadedAt: expect.any(Date),
+    });
+    const found = await db.query(
+        "SELECT storage_key FROM resumes WHERE username = 'u1'");
+    expect(files.get(found.rows[0].storage_key)).toEqual(pdf.data);
+  });
+
+  test("works: each upload is a new version", async function () {
+    await Resume.upload("u1", pdf);
+    const resume = await Resume.upload("u1", {
+      filename: "cv.docx",
+      mimeType: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      data: Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x00]),
+    });
+    expect(resume.version).toEqual(2);
+  });
+
+  test("bad request with unsupported type", async function () {
+    try {
+      await Resume.upload("u1", { ...pdf, filename: "cv.txt", mimeType: "text/plain" });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("bad request if content does not match type", async function () {
+    try {
+      await Resume.upload("u1", { ...pdf, data: Buffer.from("not a pdf") });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await Resume.upload("nope", pdf);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** get */
+
+describe("get", function () {
+  test("works: latest version", async function () {
+    await Resume.upload("u1", pdf);
+    await Resume.upload("u1", { ...pdf, data: Buffer.from("%PDF-1.4 v2") });
+    const resume = await Resume.get("u1");
+    expect(resume.version).toEqual(2);
+    expect(resume.data.toString()).toEqual("%PDF-1.4 v2");
+  });
+
+  test("works: given version", async function () {
+    await Resume.upload("u1", pdf);
+    await Resume.upload("u1", { ...pdf, data: Buffer.from("%PDF-1.4 v2") });
+    const resume = await Resume.get("u1", 1);
+    expect(resume.data).toEqual(pdf.data);
+  });
+
+  test("not found if no résumé", async function () {
+    try {
+      await Resume.get("u2");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** applications */
+
+describe("applications", function () {
+  test("record the résumé version submitted", async function () {
+    await Resume.upload("u2", pdf);
+    await User.apply("u2", 3);
+    await Resume.upload("u2", pdf);
+    const res = await db.query(
+        `SELECT r.version
+         FROM applications AS a
+         JOIN resumes AS r ON r.id = a.resume_id
+         WHERE a.username = 'u2' AND a.job_id = 3`);
+    expect(res.rows[0].version).toEqual(1);
+  });
+});
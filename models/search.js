@@ -0,0 +1,91 @@
+"use strict";
+
+const db = require("../db");
+const { parsePage, sqlForPage, paginate } = require("../helpers/pagination");
+
+// matched words in snippets are wrapped in <mark> tags
+const HEADLINE_OPTIONS = "StartSel=<mark>, StopSel=</mark>, MinWords=10, MaxWords=25";
+
+/** SQL for the text of sqlExpr with HTML special characters escaped, so the
+ * <mark> tags are the only markup in a snippet (descriptions may hold HTML). */
+
+function escapeHtmlSql(sqlExpr) {
+  return `replace(replace(replace(replace(replace(${sqlExpr},
+      '&', '&amp;'), '<', '&lt;'), '>', '&gt;'), '"', '&quot;'), '''', '&#39;')`;
+}
+
+/** Results are listed most relevant first; key breaks ties. */
+
+const RESULT_ORDER = [
+  { column: `"rank"`, key: "rank", desc: true, type: "number" },
+  { column: `"key"`, key: "key", type: "text" },
+];
+
+/** Full-text search across companies and jobs at once. */
+
+class Search {
+  /** Find companies and open jobs matching the search q, one page at a time.
+   *
+   * q is searched for like GET /companies?q= and GET /jobs?q= do; page is
+   * { limit, offset, cursor } as taken by parsePage in helpers/pagination.js.
+   * Jobs that are drafts, closed or past their closing date are left out.
+   *
+   * Returns { results, page }
+   *   where results is a mix of
+   *     { type: "company", handle, name, snippet } and
+   *     { type: "job", id, title, companyHandle, snippet },
+   *   snippet is the matching text, HTML-escaped, with matched words in <mark>
+   *   tags, and page is { total, limit, offset, next, prev }
+   */
+
+  static async find(q, page = {}) {
+    const pageReq = parsePage(page);
+    const values = [q];
+    const matchesSql = `
+      SELECT 'company' AS "type",
+             'company:' || handle AS "key",
+             handle,
+             NULL::integer AS id,
+             name AS title,
+             ts_headline('english', ${escapeHtmlSql("name || ': ' || description")}, query,
+                         '${HEADLINE_OPTIONS}') AS snippet,
+             ts_rank(search_vector, query) AS "rank"
+      FROM companies, websearch_to_tsquery('english', $1) AS query
+      WHERE search_vector @@ query
+      UNION ALL
+      SELECT 'job',
+             'job:' || id,
+             company_handle,
+             id,
+             title,
+             ts_headline('english', ${escapeHtmlSql("title")}, query, '${HEADLINE_OPTIONS}'),
+             ts_rank(search_vector, query)
+      FROM jobs, websearch_to_tsquery('english', $1) AS query
+      WHERE search_vector @@ query
+        AND status = 'open'
+        AND (closes_at IS NULL OR closes_at > NOW())`;
+
+    const countRes = await db.query(
+          `SELECT COUNT(*) AS "total" FROM (${matchesSql}) AS matches`,
+        values);
+
+    const pageSql = sqlForPage(pageReq, RESULT_ORDER, values);
+    const resultsRes = await db.query(
+          `SELECT *
+           FROM (${matchesSql}) AS matches
+           ${pageSql.where ? `WHERE ${pageSql.where}` : ""}
+           ${pageSql.orderBy}
+           ${pageSql.limit}`,
+        values);
+
+    const { rows, page: resultPage } = paginate(
+        resultsRes.rows, pageReq, Number(countRes.rows[0].total), RESULT_ORDER);
+
+    const results = rows.map(r => (r.type === "company")
+        ? { type: "company", handle: r.handle, name: r.title, snippet: r.snippet }
+        : { type: "job", id: r.id, title: r.title, companyHandle: r.handle, snippet: r.snippet });
+    return { results, page: resultPage };
+  }
+}
+
+module.exports = Search;
@@ -0,0 +1,78 @@
+"use strict";
+
+const db = require("../db.js");
+const Search = require("./search.js");
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** find */
+
+describe("find", function () {
+  beforeEach(async function () {
+    await db.query(`UPDATE companies SET description = 'We build rocket engines' WHERE handle = 'c2'`);
+    await db.query(`UPDATE companies SET name = 'Rocket Labs' WHERE handle = 'c3'`);
+    await db.query(`UPDATE jobs SET title = 'Rocket Scientist' WHERE id = 1`);
+  });
+
+  test("works: mixed, ranked results with snippets", async function () {
+    const { results, page } = await Search.find("rockets");
+    expect(results).toEqual([
+      {
+        type: "company",
+        handle: "c3",
+        name: "Rocket Labs",
+        snippet: "<mark>Rocket</mark> Labs: Desc3",
+      },
+      {
+        type: "job",
+        id: 1,
+        title: "Rocket Scientist",
+        companyHandle: "c1",
+        snippet: "<mark>Rocket</mark> Scientist",
+      },
+      {
+        type: "company",
+        handle: "c2",
+        name: "C2",
+        snippet: "C2: We build <mark>rocket</mark> engines",
+      },
+    ]);
+    expect(page).toEqual({ total: 3, limit: 20, offset: null, next: null, prev: null });
+  });
+
+  test("escapes HTML in snippets, leaving only the <mark> tags", async function () {
+    await db.query(`UPDATE companies
+                    SET description = 'Rockets & <img src=x onerror="alert(1)"> it''s <b>fast</b>'
+                    WHERE handle = 'c2'`);
+    await db.query(`UPDATE jobs SET title = 'Rocket Scientist <i>R&D</i>' WHERE id = 1`);
+    const { results } = await Search.find("rockets");
+    const snippet = results.find(r => r.handle === "c2").snippet;
+    expect(snippet).toContain("<mark>Rockets</mark> &amp; &lt;img src=x onerror=&quot;alert(1)&quot;&gt; it&#39;s");
+    expect(snippet.replace(/<\/?mark>/g, "")).not.toMatch(/[<>"']/);
+    expect(results.find(r => r.type === "job").snippet).toEqual(
+        "<mark>Rocket</mark> Scientist &lt;i&gt;R&amp;D&lt;/i&gt;");
+  });
+
+  test("leaves out jobs that aren't open", async function () {
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = 1`);
+    const { results } = await Search.find("scientists");
+    expect(results).toEqual([]);
+  });
+
+  test("pages through results", async function () {
+    const { results, page } = await Search.find("rocket", { limit: 2 });
+    expect(results.map(r => r.type)).toEqual(["company", "job"]);
+    const more = await Search.find("rocket", { limit: 2, cursor: page.next.cursor });
+    expect(more.results.map(r => r.handle)).toEqual(["c2"]);
+    expect(more.page.next).toBeNull();
+  });
+});
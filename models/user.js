@@ -6,18 +6,32 @@ const { sqlForPartialUpdate } = require("../helpers/sql");
 const {
   NotFoundError,
   BadRequestError,
-  UnauthorizedError
+  UnauthorizedError,
+  ConflictError,
+  ForbiddenError,
 } = require("../expressError");
+const { ensureValidTransition } = require("../helpers/applicationStatus");
+const { parsePage, sqlForPage, paginate } = require("../helpers/pagination");
+const Question = require("./question");
 
-const { BCRYPT_WORK_FACTOR } = require("../config.js");
+const config = require("../config.js");
+const { BCRYPT_WORK_FACTOR, APPLICATION_COOLDOWN_DAYS } = config;
 const { user } = require("pg/lib/defaults.js");
 
+// the id of the newest résumé uploaded by the user in $1
+// ($1 is cast so postgres sees the same type here as where it's inserted as a username)
+const LATEST_RESUME_SQL = `
+  SELECT id FROM resumes WHERE username = $1::varchar ORDER BY version DESC LIMIT 1`;
+
+// users are listed by username, which is unique, so it's all pages need to be stable
+const USER_ORDER = [{ column: "username", key: "username", type: "text" }];
+
 /** Related functions for users. */
 
 class User {
   /** authenticate user with username, password.
    *
-   * Returns { username, first_name, last_name, email, is_admin }
+   * Returns { username, first_name, last_name, email, is_admin, tokenVersion }
    *
    * Throws UnauthorizedError is user not found or wrong password.
    **/
@@ -30,7 +44,8 @@ class User {
                   first_name AS "firstName",
                   last_name AS "lastName",
                   email,
-                  is_admin AS "isAdmin"
+                  is_admin AS "isAdmin",
+                  token_version AS "tokenVersion"
            FROM users
            WHERE username = $1`,
         [username],
@@ -54,24 +69,15 @@ class User {
    *
    * Returns { username, firstName, lastName, email, isAdmin }
    *
-   * Throws BadRequestError on duplicates.
+   * A taken username fails the primary key, which the error handler turns
+   * into a 409 (see helpers/dbErrors.js).
    **/
 
   static async register(
       { username, password, firstName, lastName, email, isAdmin = false }) {
-    const duplicateCheck = await db.query(
-          `SELECT username
-           FROM users
-           WHERE username = $1`,
-        [username],
-    );
-
-    if (duplicateCheck.rows[0]) {
-      throw new BadRequestError(`Duplicate username: ${username}`);
-    }
-
     const hashedPassword = await bcrypt.hash(password, BCRYPT_WORK_FACTOR);
 
+    // the primary key catches duplicate usernames, even ones registered concurrently
     const result = await db.query(
           `INSERT INTO users
            (username,
@@ -97,12 +103,21 @@ class User {
     return user;
   }
 
-  /** Find all users.
+  /** Find all users, one page at a time.
+   *
+   * page is { limit, offset, cursor } as taken by parsePage in helpers/pagination.js.
    *
-   * Returns [{ username, first_name, last_name, email, is_admin }, ...]
+   * Returns { users, page }
+   *   where users is [{ username, first_name, last_name, email, is_admin }, ...]
+   *   and page is { total, limit, offset, next, prev }
    **/
 
-  static async findAll() {
+  static async findAll(page = {}) {
+    const pageReq = parsePage(page);
+    const countRes = await db.query(`SELECT COUNT(*) AS "total" FROM users`);
+
+    const values = [];
+    const pageSql = sqlForPage(pageReq, USER_ORDER, values);
     const result = await db.query(
           `SELECT username,
                   first_name AS "firstName",
@@ -110,57 +125,62 @@ class User {
                   email,
                   is_admin AS "isAdmin"
            FROM users
-           ORDER BY username`,
-    );
-
-    return result.rows;
+           ${pageSql.where ? `WHERE ${pageSql.where}` : ""}
+           ${pageSql.orderBy}
+           ${pageSql.limit}`,
+        values);
+
+    const { rows, page: resultPage } = paginate(
+        result.rows, pageReq, Number(countRes.rows[0].total), USER_ORDER);
+    return { users: rows, page: resultPage };
   }
 
   /** Given a username, return data about user.
    *
-   * Returns { username, first_name, last_name, is_admin, jobs }
-   *   where jobs is { id, title, company_handle, company_name }
+   * Returns { user, applied_jobs }
+   *   where user is { username, firstName, lastName, email, isAdmin, emailVerified }
+   *   and applied_jobs is { jobs: [{ id, title, salaryMin, salaryMax, payPeriod, equity,
+   *                                  company_handle, status, coverLetter, answers }, ...] }
    *
    * Throws NotFoundError if user not found.
    **/
 
   static async get(username) {
-    const userRes = await db.query(
-          `SELECT username,
-                  first_name AS "firstName",
-                  last_name AS "lastName",
-                  email,
-                  is_admin AS "isAdmin"
-           FROM users
-           WHERE username = $1`,
-        [username],
-    );
-
-    const userAppsRes = await db.query(
-      `SELECT username, 
-      job_id
-      FROM applications
-      WHERE username = $1`,
-      [username]
+    // read the user and their applications from the same snapshot
+    return db.withTransaction(async () => {
+      const userRes = await db.query(
+            `SELECT username,
+                    first_name AS "firstName",
+                    last_name AS "lastName",
+                    email,
+                    is_admin AS "isAdmin",
+                    email_verified AS "emailVerified"
+             FROM users
+             WHERE username = $1`,
+          [username],
+      );
+
+      const user = userRes.rows[0];
+
+      if (!user) throw new NotFoundError(`No user: ${username}`);
+
+      const jobRes = await db.query(
+        `SELECT j.id, j.title, j.salary_min AS "salaryMin", j.salary_max AS "salaryMax",
+                j.pay_period AS "payPeriod", j.equity, j.company_handle, a.status,
+                a.cover_letter AS "coverLetter", a.answers
+        FROM applications AS a
+        JOIN jobs AS j ON j.id = a.job_id
+        WHERE a.username = $1
+        ORDER BY j.id`,
+        [username]
     );
+      const jobs = jobRes.rows;
 
-    const user = userRes.rows[0];
-    const appliedJobIds = userAppsRes.rows.map(row => row.job_id);
-
-    if (!user) throw new NotFoundError(`No user: ${username}`);
-
-    const jobRes = await db.query(
-      `SELECT id, title, salary, equity, company_handle
-      FROM jobs
-      WHERE id = ANY($1::int[])`,
-      [appliedJobIds]
-  );
-    const jobs = jobRes.rows;
-
-    return {user, 
-      applied_jobs: 
-      { jobs }
-    };
+      return {user, 
+        applied_jobs: 
+        { jobs }
+      };
+    }, { isolation: "REPEATABLE READ" });
   }
 
   /** Update user data with `data`.
@@ -178,6 +198,9 @@ class User {
    * WARNING: this function can set a new password or make a user an admin.
    * Callers of this function must be certain they have validated inputs to this
    * or a serious security risks are opened.
+   *
+   * Setting a new password or changing isAdmin signs the user out everywhere
+   * (see signOutEverywhere). Changing email means it has to be verified again.
    */
 
   static async update(username, data) {
@@ -194,8 +217,21 @@ class User {
         });
     const usernameVarIdx = "$" + (values.length + 1);
 
+    // right-hand sides see the row as it was, so this compares old and new isAdmin
+    const signOutIf = [];
+    if (data.password) signOutIf.push("TRUE");
+    if (data.isAdmin !== undefined) {
+      signOutIf.push(`is_admin IS DISTINCT FROM $${Object.keys(data).indexOf("isAdmin") + 1}`);
+    }
+    const tokenVersionCol = signOutIf.length
+        ? `, token_version = token_version + CASE WHEN ${signOutIf.join(" OR ")} THEN 1 ELSE 0 END`
+        : "";
+    const emailVerifiedCol = data.email !== undefined
+        ? `, email_verified = email_verified AND email = $${Object.keys(data).indexOf("email") + 1}`
+        : "";
+
     const querySql = `UPDATE users 
-                      SET ${setCols} 
+                      SET ${setCols}${tokenVersionCol}${emailVerifiedCol} 
                       WHERE username = ${usernameVarIdx} 
                       RETURNING username,
                                 first_name AS "firstName",
@@ -211,6 +247,42 @@ class User {
     return user;
   }
 
+  /** The current token version of a user, or null if there's no such user.
+   *
+   * Tokens carrying any other version are no longer accepted.
+   **/
+
+  static async getTokenVersion(username) {
+    const result = await db.query(
+          `SELECT token_version AS "tokenVersion"
+           FROM users
+           WHERE username = $1`,
+        [username]);
+    const user = result.rows[0];
+    return user ? user.tokenVersion : null;
+  }
+
+  /** Sign a user out everywhere: every access and refresh token they hold
+   * stops working.
+   *
+   * Returns the new token version.
+   *
+   * Throws NotFoundError if not found.
+   **/
+
+  static async signOutEverywhere(username) {
+    const result = await db.query(
+          `UPDATE users
+           SET token_version = token_version + 1
+           WHERE username = $1
+           RETURNING token_version AS "tokenVersion"`,
+        [username]);
+    const user = result.rows[0];
+
+    if (!user) throw new NotFoundError(`No user: ${username}`);
+    return user.tokenVersion;
+  }
+
   /** Delete given user from database; returns undefined. */
 
   static async remove(username) {
@@ -229,16 +301,29 @@ class User {
   // method for applying to jobs, returns not only the application, but the job info
   // if username not found, throw error
   // if no job id is found, throw error
-  // if job has already been applied for, throw error
-static async apply(username, job_id) {
-  try {
+  // if REQUIRE_VERIFIED_EMAIL_TO_APPLY is set, a user whose email isn't verified gets ForbiddenError
+  // if job has already been applied for, throw ConflictError
+  // if the job is not open, or its closing date has passed, throw error
+  // if the application was withdrawn, it can only be re-opened once the cooldown has passed
+  // data can include { coverLetter, answers }, where answers is [{ questionId, answer }, ...]
+  // answers are checked against the job's screening questions; giving a knockout answer
+  // still saves the application, but it starts out rejected
+  // the user's latest résumé (if any) is recorded with the application
+  // changedBy is who submitted it (the user themselves, or an admin); it's recorded in
+  // application_events along with the application, in one transaction
+static async apply(username, job_id, { coverLetter = null, answers = null } = {}, changedBy = username) {
+  // answers is stored as JSONB, so it must be sent to postgres as a JSON string
+  const answersJson = answers === null ? null : JSON.stringify(answers);
+  // the checks and the insert share a transaction, so nothing is half-saved
+  return db.withTransaction(async () => {
     // Check if the username exists
     const userRes = await db.query(
       `SELECT username,
               first_name AS "firstName",
               last_name AS "lastName",
               email,
-              is_admin AS "isAdmin"
+              is_admin AS "isAdmin",
+              email_verified AS "emailVerified"
        FROM users
        WHERE username = $1`,
     [username],
@@ -246,41 +331,250 @@ static async apply(username, job_id) {
     if(!userRes.rows.length) {
       throw new NotFoundError(`No user found with username: ${username}`);
     }
-    // Check if the job exists
+    if (config.REQUIRE_VERIFIED_EMAIL_TO_APPLY && !userRes.rows[0].emailVerified) {
+      throw new ForbiddenError(`${username} must verify their email address before applying`);
+    }
+    // Check if the job exists and is still taking applications
+    // FOR SHARE keeps the job from being closed until the application is saved
     const jobDetailsResult = await db.query(
-      `SELECT id, title, salary, equity, company_handle
+      `SELECT id, status, closes_at <= NOW() AS "isExpired"
       FROM jobs
-      WHERE id = $1`,
+      WHERE id = $1
+      FOR SHARE`,
       [job_id]
     );
     if (!jobDetailsResult.rows.length) {
       throw new NotFoundError(`No job found with id: ${job_id}`);
     }
-    // Add the application to the applications table
-    const applicationResult = await db.query(
-      `INSERT INTO applications (username, job_id)
-      VALUES ($1, $2)
-      RETURNING username, job_id`,
-      [username, job_id]
+    const jobDetails = jobDetailsResult.rows[0];
+    if (jobDetails.status !== "open" || jobDetails.isExpired) {
+      throw new BadRequestError(`Job ${job_id} is not open for applications`);
+    }
+    // Check the answers to the job's screening questions
+    const knockout = await Question.screenAnswers(job_id, answers || []);
+    const status = knockout ? "rejected" : "applied";
+    const note = knockout ? `Knocked out by screening question ${knockout.id}` : null;
+    // Add the application; the primary key turns away a second one, even a concurrent one
+    let applicationResult = await db.query(
+      `WITH application AS (
+        INSERT INTO applications (username, job_id, cover_letter, answers, status, resume_id)
+        VALUES ($1, $2, $4, $5, $6, (${LATEST_RESUME_SQL}))
+        ON CONFLICT (username, job_id) DO NOTHING
+        RETURNING username, job_id, status
+      ), event AS (
+        INSERT INTO application_events (username, job_id, event, to_status, changed_by, note)
+        SELECT username, job_id, 'applied', status, $3, $7
+        FROM application
+      )
+      SELECT username, job_id FROM application`,
+      [username, job_id, changedBy, coverLetter, answersJson, status, note]
     );
+    if (!applicationResult.rows.length) {
+      // Re-open the earlier application, if it was withdrawn and the cooldown has passed
+      applicationResult = await db.query(
+        `WITH application AS (
+          UPDATE applications
+          SET status = $6,
+              applied_at = NOW(),
+              cover_letter = $4,
+              answers = $5,
+              resume_id = (${LATEST_RESUME_SQL}),
+              withdrawn_at = NULL,
+              withdrawal_reason = NULL
+          WHERE username = $1 AND job_id = $2
+            AND status = 'withdrawn'
+            AND withdrawn_at + make_interval(days => $8) <= NOW()
+          RETURNING username, job_id, status
+        ), event AS (
+          INSERT INTO application_events
+            (username, job_id, event, from_status, to_status, changed_by, note)
+          SELECT username, job_id, 'applied', 'withdrawn', status, $3, $7
+          FROM application
+        )
+        SELECT username, job_id FROM application`,
+        [username, job_id, changedBy, coverLetter, answersJson, status, note,
+         APPLICATION_COOLDOWN_DAYS]
+      );
+    }
+    if (!applicationResult.rows.length) {
+      // Neither worked: say why
+      const existingResult = await db.query(
+        `SELECT status,
+                withdrawn_at + make_interval(days => $3) AS "reapplyAt"
+        FROM applications
+        WHERE username = $1 AND job_id = $2`,
+        [username, job_id, APPLICATION_COOLDOWN_DAYS]
+      );
+      const existing = existingResult.rows[0];
+      if (existing && existing.status === "withdrawn") {
+        throw new BadRequestError(
+          `Cannot re-apply to this job until ${existing.reapplyAt.toISOString()}`);
+      }
+      throw new ConflictError("Already applied to this job", { username, jobId: job_id });
+    }
     const applicationId = applicationResult.rows[0].job_id;
     const appliedJobDetailsResult = await db.query(
-      `SELECT id, title, salary, equity, company_handle
+      `SELECT id, title, salary_min AS "salaryMin", salary_max AS "salaryMax",
+              pay_period AS "payPeriod", equity, company_handle
       FROM jobs
       WHERE id = $1`,
       [applicationId]
     );
     const appliedJobDetails = appliedJobDetailsResult.rows[0];
     return { appliedJobDetails };
-  } catch (err) {
-    if (err.code === "23505") {
-      // "Unique constraint violation" (user has already applied to this job)
-      throw new BadRequestError("Already applied to this job");
+  });
+}
+
+  /** Move a user's application for a job to a new status.
+   *
+   * Only the transitions allowed in helpers/applicationStatus.js are accepted.
+   * Moving to "withdrawn" goes through User.withdraw so the time is recorded.
+   * changedBy is the username of whoever made the change, for the history.
+   *
+   * Returns { username, jobId, status }
+   *
+   * Throws NotFoundError if the user has not applied to the job.
+   * Throws BadRequestError if the status change is not allowed.
+   **/
+
+  static async updateApplicationStatus(username, jobId, status, changedBy = null) {
+    const appRes = await db.query(
+          `SELECT status
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, jobId],
+    );
+    const application = appRes.rows[0];
+
+    if (!application) {
+      throw new NotFoundError(`No application from ${username} for job: ${jobId}`);
+    }
+
+    if (status === "withdrawn") {
+      return await User.withdraw(username, jobId, null, changedBy);
     }
-    throw err;
+
+    ensureValidTransition(application.status, status);
+
+    // only update if nobody else changed the status since we read it
+    const result = await db.query(
+          `WITH updated AS (
+             UPDATE applications
+             SET status = $1
+             WHERE username = $2 AND job_id = $3 AND status = $4
+             RETURNING username, job_id, status
+           ), event AS (
+             INSERT INTO application_events
+               (username, job_id, event, from_status, to_status, changed_by)
+             SELECT username, job_id, 'status_changed', $4, status, $5
+             FROM updated
+           )
+           SELECT username, job_id AS "jobId", status FROM updated`,
+        [status, username, jobId, application.status, changedBy],
+    );
+    const updated = result.rows[0];
+
+    if (!updated) {
+      throw new BadRequestError("Application status was changed by another request");
+    }
+
+    return updated;
   }
-}
 
+  /** Withdraw a user's application for a job, optionally giving a reason.
+   *
+   * The application is kept, marked as withdrawn, and the user cannot apply
+   * to the same job again until APPLICATION_COOLDOWN_DAYS have passed.
+   * changedBy defaults to the applicant; admins withdrawing pass their own username.
+   *
+   * Returns { username, jobId, status, withdrawnAt, withdrawalReason }
+   *
+   * Throws NotFoundError if the user has not applied to the job.
+   * Throws BadRequestError if the application is already closed.
+   **/
+
+  static async withdraw(username, jobId, reason = null, changedBy = username) {
+    const appRes = await db.query(
+          `SELECT status
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, jobId],
+    );
+    const application = appRes.rows[0];
+
+    if (!application) {
+      throw new NotFoundError(`No application from ${username} for job: ${jobId}`);
+    }
+
+    ensureValidTransition(application.status, "withdrawn");
+
+    const result = await db.query(
+          `WITH withdrawn AS (
+             UPDATE applications
+             SET status = 'withdrawn',
+                 withdrawn_at = NOW(),
+                 withdrawal_reason = $1
+             WHERE username = $2 AND job_id = $3 AND status = $4
+             RETURNING username, job_id, status, withdrawn_at, withdrawal_reason
+           ), event AS (
+             INSERT INTO application_events
+               (username, job_id, event, from_status, to_status, changed_by, note)
+             SELECT username, job_id, 'withdrawn', $4, status, $5, withdrawal_reason
+             FROM withdrawn
+           )
+           SELECT username,
+                  job_id AS "jobId",
+                  status,
+                  withdrawn_at AS "withdrawnAt",
+                  withdrawal_reason AS "withdrawalReason"
+           FROM withdrawn`,
+        [reason, username, jobId, application.status, changedBy],
+    );
+    const withdrawn = result.rows[0];
+
+    if (!withdrawn) {
+      throw new BadRequestError("Application status was changed by another request");
+    }
+
+    return withdrawn;
+  }
+
+  /** Given a username and job id, return the history of that application.
+   *
+   * Returns [{ id, event, fromStatus, toStatus, changedBy, note, createdAt }, ...]
+   *   oldest first, where event is "applied", "status_changed" or "withdrawn"
+   *
+   * Throws NotFoundError if the user has not applied to the job.
+   **/
+
+  static async getApplicationHistory(username, jobId) {
+    const appRes = await db.query(
+          `SELECT status
+           FROM applications
+           WHERE username = $1 AND job_id = $2`,
+        [username, jobId],
+    );
+
+    if (!appRes.rows[0]) {
+      throw new NotFoundError(`No application from ${username} for job: ${jobId}`);
+    }
+
+    const eventsRes = await db.query(
+          `SELECT id,
+                  event,
+                  from_status AS "fromStatus",
+                  to_status AS "toStatus",
+                  changed_by AS "changedBy",
+                  note,
+                  created_at AS "createdAt"
+           FROM application_events
+           WHERE username = $1 AND job_id = $2
+           ORDER BY created_at, id`,
+        [username, jobId],
+    );
+
+    return eventsRes.rows;
+  }
 }
 
 module.exports = User;
@@ -4,7 +4,10 @@ const {
   NotFoundError,
   BadRequestError,
   UnauthorizedError,
+  ConflictError,
+  ForbiddenError,
 } = require("../expressError");
+const config = require("../config.js");
 const db = require("../db.js");
 const User = require("./user.js");
 const Job = require("./job.js")
@@ -31,6 +34,7 @@ describe("authenticate", function () {
       lastName: "U1L",
       email: "u1@email.com",
       isAdmin: false,
+      tokenVersion: 0,
     });
   });
 
@@ -89,7 +93,7 @@ describe("register", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
-  test("bad request with dup data", async function () {
+  test("conflict with dup data", async function () {
     try {
       await User.register({
         ...newUser,
@@ -101,7 +105,7 @@ describe("register", function () {
       });
       fail();
     } catch (err) {
-      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.constraint).toEqual("users_pkey");
     }
   });
 });
@@ -110,7 +114,7 @@ describe("register", function () {
 
 describe("findAll", function () {
   test("works", async function () {
-    const users = await User.findAll();
+    const { users } = await User.findAll();
     expect(users).toEqual([
       {
         username: "u1",
@@ -128,6 +132,17 @@ describe("findAll", function () {
       },
     ]);
   });
+
+  test("works: paging backwards", async function () {
+    const { users, page } = await User.findAll({ limit: 1 });
+    expect(users.map(u => u.username)).toEqual(["u1"]);
+    const second = await User.findAll({ limit: 1, cursor: page.next.cursor });
+    expect(second.users.map(u => u.username)).toEqual(["u2"]);
+    expect(second.page.next).toBeNull();
+    const first = await User.findAll({ limit: 1, cursor: second.page.prev.cursor });
+    expect(first.users.map(u => u.username)).toEqual(["u1"]);
+    expect(first.page.prev).toBeNull();
+  });
 });
 
 /************************************** get */
@@ -141,7 +156,8 @@ describe("get", function () {
       firstName: "U1F",
       lastName: "U1L",
       email: "u1@email.com",
-      isAdmin: false
+      isAdmin: false,
+      emailVerified: false
       },
       applied_jobs: {
         jobs: expect.any(Array)
@@ -193,6 +209,25 @@ describe("update", function () {
     expect(found.rows[0].password.startsWith("$2b$")).toEqual(true);
   });
 
+  test("works: password and isAdmin changes sign the user out", async function () {
+    await User.update("u1", { firstName: "NewF" });
+    expect(await User.getTokenVersion("u1")).toEqual(0);
+    await User.update("u1", { isAdmin: false });
+    expect(await User.getTokenVersion("u1")).toEqual(0);
+    await User.update("u1", { isAdmin: true });
+    expect(await User.getTokenVersion("u1")).toEqual(1);
+    await User.update("u1", { password: "new" });
+    expect(await User.getTokenVersion("u1")).toEqual(2);
+  });
+
+  test("works: changing email means verifying it again", async function () {
+    await db.query("UPDATE users SET email_verified = TRUE");
+    await User.update("u1", { email: "u1@email.com" });
+    expect((await User.get("u1")).user.emailVerified).toEqual(true);
+    await User.update("u1", { email: "new@email.com" });
+    expect((await User.get("u1")).user.emailVerified).toEqual(false);
+  });
+
   test("not found if no such user", async function () {
     try {
       await User.update("nope", {
@@ -215,6 +250,38 @@ describe("update", function () {
   });
 });
 
+/************************************** getTokenVersion */
+
+describe("getTokenVersion", function () {
+  test("works", async function () {
+    expect(await User.getTokenVersion("u1")).toEqual(0);
+  });
+
+  test("null if no such user", async function () {
+    expect(await User.getTokenVersion("nope")).toBeNull();
+  });
+});
+
+/************************************** signOutEverywhere */
+
+describe("signOutEverywhere", function () {
+  test("works", async function () {
+    expect(await User.signOutEverywhere("u1")).toEqual(1);
+    expect(await User.signOutEverywhere("u1")).toEqual(2);
+    expect(await User.getTokenVersion("u1")).toEqual(2);
+    expect(await User.getTokenVersion("u2")).toEqual(0);
+  });
+
+  test("not found if no such user", async function () {
+    try {
+      await User.signOutEverywhere("nope");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
 /************************************** remove */
 
 describe("remove", function () {
@@ -244,12 +311,106 @@ describe("apply", function () {
     expect(application.appliedJobDetails).toEqual({
       id: 1, 
       title: 'Job1', 
-      salary: 100000, 
+      salaryMin: 100000,
+      salaryMax: null,
+      payPeriod: "yearly",
       equity: "0.01",
       company_handle: 'c1'
     });
   });
 
+  test('works: with cover letter and answers', async function () {
+    await User.apply("u2", 1, {
+      coverLetter: "Dear C1",
+      answers: [{ questionId: 1, answer: 5 }],
+    });
+    const user = await User.get("u2");
+    expect(user.applied_jobs.jobs).toEqual([
+      {
+        id: 1,
+        title: 'Job1',
+        salaryMin: 100000,
+        salaryMax: null,
+        payPeriod: "yearly",
+        equity: "0.01",
+        company_handle: 'c1',
+        status: "applied",
+        coverLetter: "Dear C1",
+        answers: [{ questionId: 1, answer: 5 }],
+      },
+    ]);
+  });
+
+  test('works: knockout answer rejects the application', async function () {
+    await User.apply("u2", 1, { answers: [{ questionId: 2, answer: false }] });
+    const history = await User.getApplicationHistory("u2", 1);
+    expect(history).toEqual([
+      {
+        id: expect.any(Number),
+        event: "applied",
+        fromStatus: null,
+        toStatus: "rejected",
+        changedBy: "u2",
+        note: "Knocked out by screening question 2",
+        createdAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test('error: invalid screening answer', async function () {
+    try {
+      await User.apply("u2", 1, { answers: [{ questionId: 2, answer: "no" }] });
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  describe("when a verified email is required", function () {
+    beforeEach(function () {
+      config.REQUIRE_VERIFIED_EMAIL_TO_APPLY = true;
+    });
+    afterEach(function () {
+      config.REQUIRE_VERIFIED_EMAIL_TO_APPLY = false;
+    });
+
+    test('error: email not verified', async function () {
+      try {
+        await User.apply("u2", 1);
+        fail();
+      } catch (err) {
+        expect(err instanceof ForbiddenError).toBeTruthy();
+      }
+    });
+
+    test('works once the email is verified', async function () {
+      await db.query(`UPDATE users SET email_verified = TRUE WHERE username = 'u2'`);
+      const application = await User.apply("u2", 1);
+      expect(application).toHaveProperty('appliedJobDetails');
+    });
+  });
+
+  test('error: job is closed', async function () {
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = 3`);
+    try {
+      await User.apply("u2", 3);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toEqual("Job 3 is not open for applications");
+    }
+  });
+
+  test('error: job closing date has passed', async function () {
+    await db.query(`UPDATE jobs SET closes_at = NOW() - INTERVAL '1 hour' WHERE id = 3`);
+    try {
+      await User.apply("u2", 3);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
   test('error: user not found', async function (){
     try {
       await User.apply("nope", 999);
@@ -269,11 +430,210 @@ describe("apply", function () {
   });
 
   test('error: job already applied for', async function () {
+    await User.apply('u1', 1);
     try {
       await User.apply('u1', 1);
+      fail();
     } catch (error) {
-      expect(error.name).to.equal('BadRequestError');
-      expect(error.message).to.equal('Already applied to this job');
+      expect(error instanceof ConflictError).toBeTruthy();
+      expect(error.message).toEqual('Already applied to this job');
+      expect(error.key).toEqual({ username: 'u1', jobId: 1 });
+    }
+  });
+});
+
+/************************************** updateApplicationStatus */
+
+describe("updateApplicationStatus", function () {
+  test("works", async function () {
+    const application = await User.updateApplicationStatus("u1", 2, "screening");
+    expect(application).toEqual({ username: "u1", jobId: 2, status: "screening" });
+    const found = await db.query(
+        "SELECT status FROM applications WHERE username = 'u1' AND job_id = 2");
+    expect(found.rows[0].status).toEqual("screening");
+  });
+
+  test("status shows up in get", async function () {
+    await User.updateApplicationStatus("u1", 2, "rejected");
+    const user = await User.get("u1");
+    expect(user.applied_jobs.jobs).toEqual([
+      {
+        id: 2,
+        title: "Job2",
+        salaryMin: 80000,
+        salaryMax: null,
+        payPeriod: "yearly",
+        equity: "0.02",
+        company_handle: "c3",
+        status: "rejected",
+        coverLetter: null,
+        answers: null,
+      },
+    ]);
+  });
+
+  test("bad request on illegal transition", async function () {
+    try {
+      await User.updateApplicationStatus("u1", 2, "hired");
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await User.updateApplicationStatus("u2", 2, "screening");
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
+
+/************************************** withdraw */
+
+describe("withdraw", function () {
+  test("works", async function () {
+    const withdrawn = await User.withdraw("u1", 2, "Took another offer");
+    expect(withdrawn).toEqual({
+      username: "u1",
+      jobId: 2,
+      status: "withdrawn",
+      withdrawnAt: expect.any(Date),
+      withdrawalReason: "Took another offer",
+    });
+    const found = await db.query(
+        "SELECT status FROM applications WHERE username = 'u1' AND job_id = 2");
+    expect(found.rows[0].status).toEqual("withdrawn");
+  });
+
+  test("works through updateApplicationStatus", async function () {
+    const withdrawn = await User.updateApplicationStatus("u1", 2, "withdrawn");
+    expect(withdrawn.status).toEqual("withdrawn");
+    expect(withdrawn.withdrawnAt).toEqual(expect.any(Date));
+  });
+
+  test("bad request if already closed", async function () {
+    await User.withdraw("u1", 2);
+    try {
+      await User.withdraw("u1", 2);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
     }
   });
-});
\ No newline at end of file
+
+  test("not found if no such application", async function () {
+    try {
+      await User.withdraw("u2", 2);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+
+  test("cannot re-apply during cooldown", async function () {
+    await User.withdraw("u1", 2);
+    try {
+      await User.apply("u1", 2);
+      fail();
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+      expect(err.message).toContain("Cannot re-apply");
+    }
+  });
+
+  test("re-apply time is right whatever the database's time zone", async function () {
+    await db.query(`SET LOCAL TIME ZONE 'Pacific/Kiritimati'`);
+    await User.withdraw("u1", 2);
+    const expected = await db.query(
+        `SELECT NOW() + make_interval(days => $1) AS "reapplyAt"`,
+        [config.APPLICATION_COOLDOWN_DAYS]);
+    try {
+      await User.apply("u1", 2);
+      fail();
+    } catch (err) {
+      expect(err.message).toEqual(
+          `Cannot re-apply to this job until ${expected.rows[0].reapplyAt.toISOString()}`);
+    }
+  });
+
+  test("can re-apply after cooldown", async function () {
+    await User.withdraw("u1", 2, "Changed my mind");
+    await db.query(
+        `UPDATE applications
+         SET withdrawn_at = NOW() - INTERVAL '1 year'
+         WHERE username = 'u1' AND job_id = 2`);
+    const application = await User.apply("u1", 2);
+    expect(application.appliedJobDetails.id).toEqual(2);
+    const found = await db.query(
+        `SELECT status, withdrawn_at, withdrawal_reason
+         FROM applications WHERE username = 'u1' AND job_id = 2`);
+    expect(found.rows[0]).toEqual({
+      status: "applied",
+      withdrawn_at: null,
+      withdrawal_reason: null,
+    });
+  });
+});
+
+/************************************** getApplicationHistory */
+
+describe("getApplicationHistory", function () {
+  test("works", async function () {
+    await User.apply("u2", 1);
+    await User.updateApplicationStatus("u2", 1, "screening", "u1");
+    await User.withdraw("u2", 1, "Moving away");
+    const history = await User.getApplicationHistory("u2", 1);
+    expect(history).toEqual([
+      {
+        id: expect.any(Number),
+        event: "applied",
+        fromStatus: null,
+        toStatus: "applied",
+        changedBy: "u2",
+        note: null,
+        createdAt: expect.any(Date),
+      },
+      {
+        id: expect.any(Number),
+        event: "status_changed",
+        fromStatus: "applied",
+        toStatus: "screening",
+        changedBy: "u1",
+        note: null,
+        createdAt: expect.any(Date),
+      },
+      {
+        id: expect.any(Number),
+        event: "withdrawn",
+        fromStatus: "screening",
+        toStatus: "withdrawn",
+        changedBy: "u2",
+        note: "Moving away",
+        createdAt: expect.any(Date),
+      },
+    ]);
+  });
+
+  test("failed status change writes no event", async function () {
+    await User.apply("u2", 1);
+    try {
+      await User.updateApplicationStatus("u2", 1, "hired", "u1");
+    } catch (err) {
+      expect(err instanceof BadRequestError).toBeTruthy();
+    }
+    const history = await User.getApplicationHistory("u2", 1);
+    expect(history.map(e => e.event)).toEqual(["applied"]);
+  });
+
+  test("not found if no such application", async function () {
+    try {
+      await User.getApplicationHistory("u2", 2);
+      fail();
+    } catch (err) {
+      expect(err instanceof NotFoundError).toBeTruthy();
+    }
+  });
+});
@@ -4,6 +4,7 @@ const db = require("../db.js");
 const User = require("../models/user");
 const Company = require("../models/company");
 const Job = require("../models/job");
+const Question = require("../models/question");
 const { createToken } = require("../helpers/tokens");
 
 async function commonBeforeAll() {
@@ -69,7 +70,9 @@ async function commonBeforeAll() {
   await Job.create({
     id: 1, 
     title: 'Job1', 
-    salary: 100000, 
+    salaryMin: 100000,
+    salaryMax: null,
+    payPeriod: "yearly",
     equity: 0.01,
     companyHandle: 'c1'
   });
@@ -77,7 +80,9 @@ async function commonBeforeAll() {
   await Job.create({
     id: 2, 
     title: 'Job2', 
-    salary: 80000, 
+    salaryMin: 80000,
+    salaryMax: null,
+    payPeriod: "yearly",
     equity: 0.02,
     companyHandle: 'c3'
   });
@@ -85,24 +90,33 @@ async function commonBeforeAll() {
   await Job.create({
     id: 3, 
     title: 'Job3', 
-    salary: 120000, 
+    salaryMin: 120000,
+    salaryMax: null,
+    payPeriod: "yearly",
     equity: 0,
     companyHandle: 'c3'
   });
+
+  await User.apply("u1", 2);
+
+  await Question.create(1, {
+    text: "Are you authorized to work in the US?",
+    type: "boolean",
+    knockoutAnswer: false,
+  });
 }
 
 async function commonBeforeEach() {
-  await db.query("BEGIN");
+  await db.beginTestTransaction();
 }
 
 async function commonAfterEach() {
-  await db.query("ROLLBACK");
-  await db.query("BEGIN");
+  await db.rollbackTestTransaction();
 }
 
 async function commonAfterAll() {
   try {
-    await db.query("ROLLBACK");
+    await db.rollbackTestTransaction();
   } finally {
     await db.end();
   }
@@ -2,61 +2,184 @@
 
 /** Routes for authentication. */
 
-const jsonschema = require("jsonschema");
-
+const db = require("../db");
 const User = require("../models/user");
+const RefreshToken = require("../models/refreshToken");
+const PasswordReset = require("../models/passwordReset");
+const EmailVerification = require("../models/emailVerification");
 const express = require("express");
 const router = new express.Router();
 const { createToken } = require("../helpers/tokens");
 const userAuthSchema = require("../schemas/userAuth.json");
 const userRegisterSchema = require("../schemas/userRegister.json");
-const { BadRequestError } = require("../expressError");
+const refreshTokenSchema = require("../schemas/refreshToken.json");
+const passwordResetRequestSchema = require("../schemas/passwordResetRequest.json");
+const passwordResetConfirmSchema = require("../schemas/passwordResetConfirm.json");
+const emailVerificationSchema = require("../schemas/emailVerification.json");
+const { validate } = require("../middleware/validation");
+const { ensureLoggedIn } = require("../middleware/auth");
+
+/** Log a user in: an access token plus the first refresh token of a new family. */
+
+async function tokensFor(user) {
+  const { refreshToken } = await RefreshToken.issue(user.username);
+  return { token: createToken(user), refreshToken };
+}
 
-/** POST /auth/token:  { username, password } => { token }
+
+/** POST /auth/token:  { username, password } => { token, refreshToken }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests. It
+ * expires after ACCESS_TOKEN_TTL_SECONDS; refreshToken gets a new one (see
+ * POST /auth/refresh).
  *
  * Authorization required: none
  */
 
-router.post("/token", async function (req, res, next) {
+router.post("/token", validate(userAuthSchema), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userAuthSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const { username, password } = req.body;
     const user = await User.authenticate(username, password);
-    const token = createToken(user);
-    return res.json({ token });
+    return res.json(await tokensFor(user));
   } catch (err) {
     return next(err);
   }
 });
 
 
-/** POST /auth/register:   { user } => { token }
+/** POST /auth/register:   { user } => { token, refreshToken }
  *
  * user must include { username, password, firstName, lastName, email }
  *
- * Returns JWT token which can be used to authenticate further requests.
+ * Returns JWT token which can be used to authenticate further requests, and a
+ * refresh token, as for POST /auth/token.
+ *
+ * The new user is sent an email to verify their address (see
+ * POST /auth/verify-email).
+ *
+ * Authorization required: none
+ */
+
+router.post("/register", validate(userRegisterSchema), async function (req, res, next) {
+  try {
+    // the user is only added if their verification email could be queued
+    const newUser = await db.withTransaction(async () => {
+      const user = await User.register({ ...req.body, isAdmin: false });
+      await EmailVerification.send(user.username);
+      return user;
+    });
+    return res.status(201).json(await tokensFor(newUser));
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/refresh:  { refreshToken } => { token, refreshToken }
+ *
+ * Swaps a refresh token for a new access token and a new refresh token. Each
+ * refresh token works once; sending one that was already used logs out every
+ * session that came from the same login.
  *
  * Authorization required: none
  */
 
-router.post("/register", async function (req, res, next) {
+router.post("/refresh", validate(refreshTokenSchema), async function (req, res, next) {
+  try {
+    const { user, refreshToken } = await RefreshToken.rotate(req.body.refreshToken);
+    return res.json({ token: createToken(user), refreshToken });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/logout:  { refreshToken } => { loggedOut: true }
+ *
+ * Revokes the refresh token and every other one from the same login. Access
+ * tokens already handed out keep working until they expire.
+ *
+ * Authorization required: none
+ */
+
+router.post("/logout", validate(refreshTokenSchema), async function (req, res, next) {
+  try {
+    await RefreshToken.revoke(req.body.refreshToken);
+    return res.json({ loggedOut: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/request:  { username } => 202 { requested: true }
+ *
+ * Emails the user a token for POST /auth/password-reset/confirm, voiding any
+ * they were sent before. The response is the same whether or not the user
+ * exists, so it can't be used to find out who has an account.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/request", validate(passwordResetRequestSchema), async function (req, res, next) {
+  try {
+    await PasswordReset.request(req.body.username);
+    return res.status(202).json({ requested: true });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/password-reset/confirm:  { token, password } => { passwordReset: username }
+ *
+ * Sets a new password with a token from POST /auth/password-reset/request.
+ * Each token works once, and using it voids the user's others. The user is
+ * logged out everywhere and has to log in with the new password.
+ *
+ * Authorization required: none
+ */
+
+router.post("/password-reset/confirm", validate(passwordResetConfirmSchema), async function (req, res, next) {
+  try {
+    const { username } = await PasswordReset.confirm(req.body.token, req.body.password);
+    return res.json({ passwordReset: username });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify-email:  { token } => { verified: email }
+ *
+ * Marks an email address as verified, with the token from the link in the
+ * verification email. Each token works once.
+ *
+ * Authorization required: none
+ */
+
+router.post("/verify-email", validate(emailVerificationSchema), async function (req, res, next) {
+  try {
+    const { email } = await EmailVerification.confirm(req.body.token);
+    return res.json({ verified: email });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** POST /auth/verify-email/resend:  => 202 { sent }
+ *
+ * Sends the logged-in user a new verification email, e.g. when the last one
+ * expired. sent is false if their address is already verified.
+ *
+ * Authorization required: login
+ */
+
+router.post("/verify-email/resend", ensureLoggedIn, async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userRegisterSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
-    const newUser = await User.register({ ...req.body, isAdmin: false });
-    const token = createToken(newUser);
-    return res.status(201).json({ token });
+    const sent = await EmailVerification.send(res.locals.user.username);
+    return res.status(202).json({ sent });
   } catch (err) {
     return next(err);
   }
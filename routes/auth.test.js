@@ -3,12 +3,16 @@
 const request = require("supertest");
 
 const app = require("../app");
+const User = require("../models/user");
+const EmailOutbox = require("../models/emailOutbox");
+const EmailVerification = require("../models/emailVerification");
 
 const {
   commonBeforeAll,
   commonBeforeEach,
   commonAfterEach,
   commonAfterAll,
+  u1Token,
 } = require("./_testCommon");
 
 beforeAll(commonBeforeAll);
@@ -28,6 +32,7 @@ describe("POST /auth/token", function () {
         });
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -87,6 +92,7 @@ describe("POST /auth/register", function () {
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
       "token": expect.any(String),
+      "refreshToken": expect.any(String),
     });
   });
 
@@ -111,4 +117,290 @@ describe("POST /auth/register", function () {
         });
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("conflict with a taken username", async function () {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "u1",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    expect(resp.statusCode).toEqual(409);
+    expect(resp.body.error.key).toEqual({ username: "u1" });
+  });
+
+  test("adds no user if the verification email can't be queued", async function () {
+    const send = jest.spyOn(EmailVerification, "send").mockRejectedValue(new Error("oops"));
+    try {
+      const resp = await request(app)
+          .post("/auth/register")
+          .send({
+            username: "new",
+            firstName: "first",
+            lastName: "last",
+            password: "password",
+            email: "new@email.com",
+          });
+      expect(resp.statusCode).toEqual(500);
+    } finally {
+      send.mockRestore();
+    }
+    await expect(User.get("new")).rejects.toThrow("No user: new");
+  });
+});
+
+/************************************** POST /auth/refresh */
+
+describe("POST /auth/refresh", function () {
+  async function logIn() {
+    const resp = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    return resp.body.refreshToken;
+  }
+
+  test("works", async function () {
+    const refreshToken = await logIn();
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      token: expect.any(String),
+      refreshToken: expect.any(String),
+    });
+    expect(resp.body.refreshToken).not.toEqual(refreshToken);
+  });
+
+  test("unauth for a used token, which also revokes its replacement", async function () {
+    const refreshToken = await logIn();
+    const first = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    const reused = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(reused.statusCode).toEqual(401);
+
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: first.body.refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth after a password change", async function () {
+    const refreshToken = await logIn();
+    await User.update("u1", { password: "changed" });
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for an unknown token", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken: "nope" });
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/refresh")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/logout */
+
+describe("POST /auth/logout", function () {
+  test("works", async function () {
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "password1" });
+    const { refreshToken } = login.body;
+
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({ refreshToken });
+    expect(resp.body).toEqual({ loggedOut: true });
+
+    const refresh = await request(app)
+        .post("/auth/refresh")
+        .send({ refreshToken });
+    expect(refresh.statusCode).toEqual(401);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/logout")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/password-reset */
+
+describe("POST /auth/password-reset", function () {
+  async function requestToken() {
+    await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "u1" });
+    const emails = await EmailOutbox.pending();
+    return /token=([A-Za-z0-9_-]+)/.exec(emails[emails.length - 1].text)[1];
+  }
+
+  test("request works", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "u1" });
+    expect(resp.statusCode).toEqual(202);
+    expect(resp.body).toEqual({ requested: true });
+    expect((await EmailOutbox.pending()).length).toEqual(1);
+  });
+
+  test("request looks the same for an unknown user", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({ username: "nope" });
+    expect(resp.statusCode).toEqual(202);
+    expect(resp.body).toEqual({ requested: true });
+    expect(await EmailOutbox.pending()).toEqual([]);
+  });
+
+  test("request: bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/password-reset/request")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("confirm works", async function () {
+    const token = await requestToken();
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "newpassword" });
+    expect(resp.body).toEqual({ passwordReset: "u1" });
+
+    const login = await request(app)
+        .post("/auth/token")
+        .send({ username: "u1", password: "newpassword" });
+    expect(login.statusCode).toEqual(200);
+  });
+
+  test("confirm ends existing sessions", async function () {
+    const token = await requestToken();
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "newpassword" });
+
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("confirm: bad request for a used token", async function () {
+    const token = await requestToken();
+    await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "newpassword" });
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "another" });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("confirm: bad request with invalid password", async function () {
+    const token = await requestToken();
+    const resp = await request(app)
+        .post("/auth/password-reset/confirm")
+        .send({ token, password: "x" });
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** POST /auth/verify-email */
+
+describe("POST /auth/verify-email", function () {
+  async function register() {
+    const resp = await request(app)
+        .post("/auth/register")
+        .send({
+          username: "new",
+          firstName: "first",
+          lastName: "last",
+          password: "password",
+          email: "new@email.com",
+        });
+    const emails = await EmailOutbox.pending();
+    const token = /token=([A-Za-z0-9_-]+)/.exec(emails[emails.length - 1].text)[1];
+    return { token, accessToken: resp.body.token };
+  }
+
+  test("registering sends a verification email", async function () {
+    await register();
+    const emails = await EmailOutbox.pending();
+    expect(emails.length).toEqual(1);
+    expect(emails[0].to).toEqual("new@email.com");
+    expect(emails[0].subject).toEqual("Verify your Jobly email address");
+  });
+
+  test("works", async function () {
+    const { token } = await register();
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token });
+    expect(resp.body).toEqual({ verified: "new@email.com" });
+    expect((await User.get("new")).user.emailVerified).toEqual(true);
+  });
+
+  test("bad request for a used token", async function () {
+    const { token } = await register();
+    await request(app)
+        .post("/auth/verify-email")
+        .send({ token });
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({ token });
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with missing data", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email")
+        .send({});
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("resend works", async function () {
+    const { accessToken } = await register();
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${accessToken}`);
+    expect(resp.statusCode).toEqual(202);
+    expect(resp.body).toEqual({ sent: true });
+    expect((await EmailOutbox.pending()).length).toEqual(2);
+  });
+
+  test("resend sends nothing once verified", async function () {
+    const { token, accessToken } = await register();
+    await request(app)
+        .post("/auth/verify-email")
+        .send({ token });
+    const resp = await request(app)
+        .post("/auth/verify-email/resend")
+        .set("authorization", `Bearer ${accessToken}`);
+    expect(resp.body).toEqual({ sent: false });
+  });
+
+  test("resend: unauth for anon", async function () {
+    const resp = await request(app)
+        .post("/auth/verify-email/resend");
+    expect(resp.statusCode).toEqual(401);
+  });
 });
@@ -2,16 +2,17 @@
 
 /** Routes for companies. */
 
-const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
 const { ensureLoggedIn, isAdmin } = require("../middleware/auth");
+const { validate } = require("../middleware/validation");
+const { paginationFor } = require("../helpers/pagination");
 const Company = require("../models/company");
 const Job = require("../models/job")
 
 const companyNewSchema = require("../schemas/companyNew.json");
 const companyUpdateSchema = require("../schemas/companyUpdate.json");
+const companySearchSchema = require("../schemas/companySearch.json");
 
 const router = new express.Router();
 
@@ -25,14 +26,8 @@ const router = new express.Router();
  * Authorization required: login, isAdmin
  */
 
-router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
+router.post("/", ensureLoggedIn, isAdmin, validate(companyNewSchema), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, companyNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const company = await Company.create(req.body);
     return res.status(201).json({ company });
   } catch (err) {
@@ -41,12 +36,24 @@ router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...] }
+ *   { companies: [ { handle, name, description, numEmployees, logoUrl }, ...],
+ *     pagination: { total, limit, offset, next, prev } }
  *
  * Can filter on provided search filters:
+ * - q (full-text search of names and descriptions; results are most relevant first)
  * - minEmployees
  * - maxEmployees
- * - nameLike (will find case-insensitive, partial matches)
+ * - name (will find case-insensitive, partial matches)
+ *
+ * sort orders the results by a comma-separated list of fields, each
+ * optionally prefixed with "-" for descending (e.g. sort=-numEmployees).
+ * Sortable fields: name (the default), handle, numEmployees, and relevance
+ * when searching with q.
+ *
+ * Paginated; see paginationFor in helpers/pagination.js.
+ *
+ * Query parameters are checked against schemas/companySearch.json; unknown
+ * ones are rejected.
  *
  * Authorization required: none
  */
@@ -63,13 +70,14 @@ router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
 
 /*** New version of above version: */
 
-router.get("/", async function (req, res, next) {
+router.get("/", validate(companySearchSchema, { source: "query" }), async function (req, res, next) {
   try {
-    const { name, minEmployees, maxEmployees } = req.query;
+    const { q, name, minEmployees, maxEmployees, sort, limit, offset, cursor } = req.query;
 
-    const companies = await Company.findByCriteria({ name, minEmployees, maxEmployees });
+    const { companies, page } = await Company.findByCriteria(
+        { q, name, minEmployees, maxEmployees, sort }, { limit, offset, cursor });
 
-    return res.json({ companies });
+    return res.json({ companies, pagination: paginationFor(req, page) });
   } catch (err) {
     return next(err);
   }
@@ -78,7 +86,9 @@ router.get("/", async function (req, res, next) {
 /** GET /[handle]  =>  { company }
  *
  *  Company is { handle, name, description, numEmployees, logoUrl, jobs }
- *   where jobs is [{ id, title, salary, equity }, ...]
+ *   where jobs is [{ id, title, salaryMin, salaryMax, payPeriod, equity }, ...]
+ *
+ * Draft jobs are only listed for admins.
  *
  * Authorization required: none
  */
@@ -86,14 +96,17 @@ router.get("/", async function (req, res, next) {
 router.get("/:handle", async function (req, res, next) {
   try {
     const company = await Company.get(req.params.handle);
-    const jobs = await Job.findAllByCompany(req.params.handle);
+    const includeDrafts = Boolean(res.locals.user && res.locals.user.isAdmin);
+    const jobs = await Job.findAllByCompany(req.params.handle, { includeDrafts });
 
     const responseData = {
       ...company,
       jobs: jobs.map(job => ({
         id: job.id,
         title:job.title,
-        salary:job.salary,
+        salaryMin: job.salaryMin,
+        salaryMax: job.salaryMax,
+        payPeriod: job.payPeriod,
         equity: job.equity,
       })),
     };
@@ -114,14 +127,8 @@ router.get("/:handle", async function (req, res, next) {
  * Authorization required: login, is_admin
  */
 
-router.patch("/:handle", ensureLoggedIn, isAdmin, async function (req, res, next) {
+router.patch("/:handle", ensureLoggedIn, isAdmin, validate(companyUpdateSchema), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, companyUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const company = await Company.update(req.params.handle, req.body);
     return res.json({ company });
   } catch (err) {
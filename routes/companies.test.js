@@ -50,7 +50,8 @@ describe("POST /companies", function () {
     expect(resp.body).toEqual({
       "error": {
         "message": "Unauthorized",
-        "status": 401
+        "status": 401,
+        "code": "UNAUTHORIZED"
       }
     })
   })
@@ -76,6 +77,32 @@ describe("POST /companies", function () {
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("conflict with a duplicate handle", async function () {
+    const resp = await request(app)
+        .post("/companies")
+        .send({ ...newCompany, handle: "c1" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(409);
+    expect(resp.body.error).toEqual(expect.objectContaining({
+      message: "Duplicate company: c1",
+      code: "CONFLICT",
+      key: { handle: "c1" },
+    }));
+  });
+
+  test("conflict with a duplicate name", async function () {
+    const resp = await request(app)
+        .post("/companies")
+        .send({ ...newCompany, name: "C1" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(409);
+    expect(resp.body.error).toEqual(expect.objectContaining({
+      message: "Duplicate company name: C1",
+      code: "CONFLICT",
+      key: { name: "C1" },
+    }));
+  });
 });
 
 /************************************** GET /companies */
@@ -108,6 +135,7 @@ describe("GET /companies", function () {
               logoUrl: "http://c3.img",
             },
           ],
+      pagination: { total: 3, limit: 20, offset: null, next: null, prev: null },
     });
   });
 
@@ -132,6 +160,7 @@ describe("GET /companies", function () {
               logoUrl: "http://c3.img",
             },
           ],
+      pagination: { total: 2, limit: 20, offset: null, next: null, prev: null },
     });
   
   });
@@ -148,11 +177,80 @@ describe("GET /companies", function () {
     expect(resp.statusCode).toEqual(500);
   });
 
+  test("pages by cursor, keeping filters in the links", async function () {
+    const resp = await request(app).get("/companies?name=C&limit=2");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(resp.body.pagination).toEqual({
+      total: 3,
+      limit: 2,
+      offset: null,
+      next: expect.stringMatching(/^\/companies\?name=C&limit=2&cursor=/),
+      prev: null,
+    });
+
+    const nextResp = await request(app).get(resp.body.pagination.next);
+    expect(nextResp.body.companies.map(c => c.handle)).toEqual(["c3"]);
+    expect(nextResp.body.pagination.next).toBeNull();
+
+    const prevResp = await request(app).get(nextResp.body.pagination.prev);
+    expect(prevResp.body.companies.map(c => c.handle)).toEqual(["c1", "c2"]);
+    expect(prevResp.body.pagination.prev).toBeNull();
+  });
+
+  test("searches with q", async function () {
+    await db.query(`UPDATE companies SET description = 'Fresh bakery goods' WHERE handle = 'c2'`);
+    const resp = await request(app).get("/companies?q=bakery&sort=-relevance,name");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c2"]);
+  });
+
+  test("bad request sorting by relevance without q", async function () {
+    const resp = await request(app).get("/companies?sort=relevance");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("sorts by the given fields", async function () {
+    const resp = await request(app).get("/companies?sort=-numEmployees");
+    expect(resp.body.companies.map(c => c.handle)).toEqual(["c3", "c2", "c1"]);
+  });
+
+  test("bad request with an unsortable field", async function () {
+    const resp = await request(app).get("/companies?sort=logoUrl");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with unknown filters", async function () {
+    const resp = await request(app).get("/companies?nameLike=C");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual(
+        "Unknown query parameter(s): nameLike; allowed: q, name, minEmployees, maxEmployees, sort, limit, offset, cursor");
+  });
+
+  test("bad request with non-numeric employee counts", async function () {
+    const resp = await request(app).get("/companies?minEmployees=abc");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid paging", async function () {
+    let resp = await request(app).get("/companies?limit=0");
+    expect(resp.statusCode).toEqual(400);
+    resp = await request(app).get("/companies?cursor=nope");
+    expect(resp.statusCode).toEqual(400);
+  });
+
 test("bad request with invalid minEmployees and maxEmployees", async function () {
   const resp = await request(app).get("/companies?minEmployees=4&maxEmployees=3");
   expect(resp.statusCode).toEqual(400);
 });
 
+test("filters with zero employee bounds", async function () {
+  let resp = await request(app).get("/companies?maxEmployees=0");
+  expect(resp.body.companies).toEqual([]);
+  resp = await request(app).get("/companies?minEmployees=0");
+  expect(resp.body.companies.map(c => c.handle)).toEqual(["c1", "c2", "c3"]);
+  resp = await request(app).get("/companies?minEmployees=5&maxEmployees=0");
+  expect(resp.statusCode).toEqual(400);
+});
+
 });
 
 /************************************** GET /companies/:handle */
@@ -171,7 +269,9 @@ describe("GET /companies/:handle", function () {
           {
           id: 1, 
           title: 'Job1', 
-          salary: 100000, 
+          salaryMin: 100000,
+          salaryMax: null,
+          payPeriod: "yearly",
           equity: "0.01", 
         }
       ]
@@ -193,6 +293,16 @@ describe("GET /companies/:handle", function () {
     });
   });
 
+  test("draft jobs are only listed for Admin users", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = 1`);
+    const resp = await request(app).get(`/companies/c1`);
+    expect(resp.body.company.jobs).toEqual([]);
+    const adminResp = await request(app)
+        .get(`/companies/c1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(adminResp.body.company.jobs.map(j => j.id)).toEqual([1]);
+  });
+
   test("not found for no such company", async function () {
     const resp = await request(app).get(`/companies/nope`);
     expect(resp.statusCode).toEqual(404);
@@ -240,7 +350,8 @@ describe("PATCH /companies/:handle", function () {
     expect(resp.body).toEqual({
       "error": {
         "message": "Unauthorized",
-        "status": 401
+        "status": 401,
+        "code": "UNAUTHORIZED"
       }
     })
   })
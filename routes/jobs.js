@@ -2,36 +2,46 @@
 
 /** Routes for jobs. */
 
-const jsonschema = require("jsonschema");
 const express = require("express");
 
-const { BadRequestError } = require("../expressError");
+const { UnauthorizedError, NotFoundError } = require("../expressError");
 const { ensureLoggedIn, isAdmin } = require("../middleware/auth");
+const { validate } = require("../middleware/validation");
+const { paginationFor } = require("../helpers/pagination");
 const Job = require("../models/job");
+const Question = require("../models/question");
 
 const jobNewSchema = require("../schemas/jobNew.json");
 const jobUpdateSchema = require("../schemas/jobUpdate.json");
+const jobPublishSchema = require("../schemas/jobPublish.json");
+const jobSearchSchema = require("../schemas/jobSearch.json");
+const jobParamsSchema = require("../schemas/jobParams.json");
+const applicationListSchema = require("../schemas/applicationList.json");
+const questionNewSchema = require("../schemas/questionNew.json");
+const questionUpdateSchema = require("../schemas/questionUpdate.json");
 
 const router = new express.Router();
 
+/** Job (and question) ids in the path must be integers; they arrive as numbers. */
+const validateJobParams = validate(jobParamsSchema, { source: "params" });
+
 
 /** POST / { job } =>  { job }
  *
- * job should be { title, salary, equity, companyHandle }
+ * job should be { title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status, closesAt, publishAt }
+ *   where salaryMin and salaryMax are the pay range (salaryMin can't be more
+ *   than salaryMax) and payPeriod is yearly (the default) or hourly.
+ *   Salaries, status (draft, open or closed), closesAt and publishAt are optional.
+ *   Draft jobs are only visible to admins; giving publishAt creates a draft
+ *   that opens by itself at that time.
  *
- * Returns { id, title, salary, equity, companyHandle }
+ * Returns { id, title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status, postedAt, closesAt, publishAt }
  *
  * Authorization required: login, isAdmin
  */
 
-router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
+router.post("/", ensureLoggedIn, isAdmin, validate(jobNewSchema), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, jobNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const job = await Job.create(req.body);
     return res.status(201).json({ job });
   } catch (err) {
@@ -40,8 +50,37 @@ router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
 });
 
 /** GET /  =>
- *   { jobs: [ { id, title, salary, equity, companyHandle }, ...] }
+ *   { jobs: [ { id, title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status, postedAt, closesAt, publishAt }, ...],
+ *     pagination: { total, limit, offset, next, prev } }
+ *
+ * With include=company, each job also has
+ *   company: { handle, name, numEmployees, logoUrl }
+ *
+ * Can filter on provided search filters:
+ * - q (full-text search of job titles; results are most relevant first)
+ * - title (will find case-insensitive, partial matches)
+ * - minSalary, maxSalary (jobs whose pay range overlaps these; yearly
+ *   amounts, with hourly pay counted as 2080 hours a year)
+ * - payPeriod (only jobs paid hourly or yearly; minSalary and maxSalary are
+ *   then per that period)
+ * - hasEquity
+ * - minEquity, maxEquity (numbers from 0 to 1; jobs offering at least / at
+ *   most this much equity)
+ * - companyHandle, companyName (case-insensitive, partial matches),
+ *   minEmployees, maxEmployees (filter on the company posting the job)
+ * - includeClosed (admins only; also show closed and expired jobs)
+ * - includeDrafts (admins only; also show drafts)
+ *
+ * sort orders the results by a comma-separated list of fields, each
+ * optionally prefixed with "-" for descending (e.g. sort=-salary,title).
+ * Sortable fields: title (the default), salary (the low end of the range,
+ * per year), equity, companyHandle, id,
+ * and relevance when searching with q.
+ *
+ * Paginated; see paginationFor in helpers/pagination.js.
  *
+ * Query parameters are checked against schemas/jobSearch.json; unknown ones
+ * are rejected.
  *
  * Authorization required: none
  */
@@ -56,54 +95,222 @@ router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
 //   }
 // });
 
-router.get("/", async function (req, res, next) {
+router.get("/", validate(jobSearchSchema, { source: "query" }), async function (req, res, next) {
     try {
-      const { title, minSalary, hasEquity } = req.query;
+      const {
+        q, title, minSalary, maxSalary, payPeriod, hasEquity, minEquity, maxEquity, includeClosed,
+        includeDrafts, companyHandle, companyName, minEmployees, maxEmployees, include, sort, limit,
+        offset, cursor,
+      } = req.query;
+
+      if (includeClosed !== undefined && !(res.locals.user && res.locals.user.isAdmin)) {
+        throw new UnauthorizedError("Only admins can include closed jobs");
+      }
+      if (includeDrafts !== undefined && !(res.locals.user && res.locals.user.isAdmin)) {
+        throw new UnauthorizedError("Only admins can include draft jobs");
+      }
   
-      const jobs = await Job.findByCriteria({ title, minSalary, hasEquity });
+      const { jobs, page } = await Job.findByCriteria(
+          {
+            q, title, minSalary, maxSalary, payPeriod, hasEquity, minEquity, maxEquity, includeClosed,
+            includeDrafts, companyHandle, companyName, minEmployees, maxEmployees, sort,
+            includeCompany: include === "company",
+          },
+          { limit, offset, cursor });
   
-      return res.json({ jobs });
+      return res.json({ jobs, pagination: paginationFor(req, page) });
     } catch (err) {
       return next(err);
     }
   });
 
 
-/** GET /[title]  =>  { job }
+/** GET /[id]  =>  { job }
+ *
+ * Draft jobs are only shown to admins.
  *
- *  Job is { id, title, salary, equity, companyHandle }
+ *  Job is { id, title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status, postedAt, closesAt, publishAt }
  *
  * Authorization required: none
  */
 
-router.get("/:id", async function (req, res, next) {
+router.get("/:id", validateJobParams, async function (req, res, next) {
   try {
     const job = await Job.get(req.params.id);
+    if (job.status === "draft" && !(res.locals.user && res.locals.user.isAdmin)) {
+      throw new NotFoundError(`No job with an id of ${req.params.id}`);
+    }
+    return res.json({ job });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[id]/publish { publishAt } =>  { job }
+ *
+ * Opens a draft job, or reopens a closed one. publishAt is optional; if it's
+ * in the future the job is a draft until then.
+ *
+ * Returns { id, title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status, postedAt, closesAt, publishAt }
+ *
+ * Authorization required: login, isAdmin
+ */
+
+router.post("/:id/publish", ensureLoggedIn, isAdmin, validateJobParams, validate(jobPublishSchema), async function (req, res, next) {
+  try {
+    const job = await Job.publish(req.params.id, req.body.publishAt);
+    return res.json({ job });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[id]/unpublish =>  { job }
+ *
+ * Takes an open job back to being a draft.
+ *
+ * Returns { id, title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status, postedAt, closesAt, publishAt }
+ *
+ * Authorization required: login, isAdmin
+ */
+
+router.post("/:id/unpublish", ensureLoggedIn, isAdmin, validateJobParams, async function (req, res, next) {
+  try {
+    const job = await Job.unpublish(req.params.id);
     return res.json({ job });
   } catch (err) {
     return next(err);
   }
 });
 
+/** GET /[id]/applications  =>  { applications, pagination }
+ *
+ *  applications is [{ username, firstName, lastName, email, appliedAt, status,
+ *                     coverLetter, answers, resumeVersion }, ...]
+ *
+ * Can filter with query parameters:
+ * - status (only applications in this status)
+ * - sort ("appliedAt" for oldest first, "-appliedAt" for newest first)
+ *
+ * Paginated; see paginationFor in helpers/pagination.js.
+ *
+ * Query parameters are checked against schemas/applicationList.json; unknown
+ * ones are rejected.
+ *
+ * Authorization required: login, isAdmin
+ */
+
+router.get("/:id/applications", ensureLoggedIn, isAdmin, validateJobParams,
+    validate(applicationListSchema, { source: "query" }), async function (req, res, next) {
+  try {
+    const { status, sort, limit, offset, cursor } = req.query;
+
+    const { applications, page } = await Job.getApplications(
+        req.params.id, { status, sort }, { limit, offset, cursor });
+    return res.json({ applications, pagination: paginationFor(req, page) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** POST /[id]/questions { question } =>  { question }
+ *
+ * Adds a screening question to a job.
+ *
+ * question should be { text, type, choices, required, knockoutAnswer }
+ *   where type is boolean, number, choice or text; choices is only for (and
+ *   required by) choice questions; knockoutAnswer is optional, and applications
+ *   giving that answer are rejected automatically
+ *
+ * Returns { id, jobId, text, type, choices, required, knockoutAnswer }
+ *
+ * Authorization required: login, isAdmin
+ */
+
+router.post("/:id/questions", ensureLoggedIn, isAdmin, validateJobParams, validate(questionNewSchema), async function (req, res, next) {
+  try {
+    const question = await Question.create(req.params.id, req.body);
+    return res.status(201).json({ question });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** GET /[id]/questions  =>  { questions }
+ *
+ *  questions is [{ id, jobId, text, type, choices, required, knockoutAnswer }, ...]
+ *
+ * knockoutAnswer is only shown to admins, and so are the questions of draft jobs.
+ *
+ * Authorization required: none
+ */
+
+router.get("/:id/questions", validateJobParams, async function (req, res, next) {
+  try {
+    const isAdmin = Boolean(res.locals.user && res.locals.user.isAdmin);
+    let questions = await Question.findAllForJob(req.params.id, { includeDrafts: isAdmin });
+
+    if (!isAdmin) {
+      questions = questions.map(({ knockoutAnswer, ...question }) => question);
+    }
+    return res.json({ questions });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[id]/questions/[questionId] { fld1, fld2, ... } => { question }
+ *
+ * Patches a screening question.
+ *
+ * fields can be: { text, type, choices, required, knockoutAnswer }
+ *
+ * Returns { id, jobId, text, type, choices, required, knockoutAnswer }
+ *
+ * Authorization required: login, isAdmin
+ */
+
+router.patch("/:id/questions/:questionId", ensureLoggedIn, isAdmin, validateJobParams, validate(questionUpdateSchema), async function (req, res, next) {
+  try {
+    const question = await Question.update(req.params.id, req.params.questionId, req.body);
+    return res.json({ question });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** DELETE /[id]/questions/[questionId]  =>  { deleted: questionId }
+ *
+ * Authorization: login, isAdmin
+ */
+
+router.delete("/:id/questions/:questionId", ensureLoggedIn, isAdmin, validateJobParams, async function (req, res, next) {
+  try {
+    await Question.remove(req.params.id, req.params.questionId);
+    // ids are sent back as they were in the path, not as the numbers they're validated into
+    return res.json({ deleted: String(req.params.questionId) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
 /** PATCH /[id] { fld1, fld2, ... } => { job }
  *
  * Patches job data.
  *
- * fields can be: { title, salary, equity, companyHandle }
+ * fields can be: { title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status, closesAt }
  *
- * Returns { id, title, salary, equity, companyHandle }
+ * status can only be set to "closed" here; jobs move between draft and open
+ * with POST /[id]/publish and POST /[id]/unpublish, and closed jobs are
+ * reopened with POST /[id]/publish.
+ *
+ * Returns { id, title, salaryMin, salaryMax, payPeriod, equity, companyHandle, status, postedAt, closesAt, publishAt }
  *
  * Authorization required: login, is_admin
  */
 
-router.patch("/:id", ensureLoggedIn, isAdmin, async function (req, res, next) {
+router.patch("/:id", ensureLoggedIn, isAdmin, validateJobParams, validate(jobUpdateSchema), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, jobUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
     const job = await Job.update(req.params.id, req.body);
     return res.json({ job });
   } catch (err) {
@@ -116,10 +323,10 @@ router.patch("/:id", ensureLoggedIn, isAdmin, async function (req, res, next) {
  * Authorization: login, is_admin
  */
 
-router.delete("/:id", ensureLoggedIn, isAdmin, async function (req, res, next) {
+router.delete("/:id", ensureLoggedIn, isAdmin, validateJobParams, async function (req, res, next) {
   try {
     await Job.remove(req.params.id);
-    return res.json({ deleted: req.params.id });
+    return res.json({ deleted: String(req.params.id) });
   } catch (err) {
     return next(err);
   }
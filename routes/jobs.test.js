@@ -24,7 +24,9 @@ afterAll(commonAfterAll);
 describe("POST /jobs", function () {
   const newJob = {
     title: "newJob",
-    salary: 100000, 
+    salaryMin: 100000,
+    salaryMax: null,
+    payPeriod: "yearly",
     equity: 0, 
     companyHandle: 'c1'
   };
@@ -40,9 +42,15 @@ describe("POST /jobs", function () {
         {
         id: expect.any(Number),
         title: "newJob",
-        salary: 100000,
+        salaryMin: 100000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0",
-        companyHandle: 'c1'
+        companyHandle: 'c1',
+        status: "open",
+        postedAt: expect.any(String),
+        closesAt: null,
+        publishAt: null
          }
         });
   });
@@ -56,7 +64,8 @@ describe("POST /jobs", function () {
     expect(resp.body).toEqual({
       "error": {
         "message": "Unauthorized",
-        "status": 401
+        "status": 401,
+        "code": "UNAUTHORIZED"
       }
     })
   })
@@ -66,7 +75,7 @@ describe("POST /jobs", function () {
         .post("/jobs")
         .send({
           title: "new",
-          salary: 10000,
+          salaryMin: 10000,
         })
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
@@ -77,11 +86,40 @@ describe("POST /jobs", function () {
         .post("/companies")
         .send({
           ...newJob,
-          salary: -10,
+          salaryMin: -10,
         })
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(400);
   });
+
+  test("bad request with salaryMin above salaryMax", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({
+          ...newJob,
+          salaryMin: 120000,
+          salaryMax: 90000,
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error).toEqual({
+      message: "Invalid request body",
+      status: 400,
+      code: "BAD_REQUEST",
+      errors: [{ field: "salaryMin", rule: "ranges", message: "salaryMin cannot be greater than salaryMax" }],
+    });
+  });
+
+  test("bad request for a company that doesn't exist", async function () {
+    const resp = await request(app)
+        .post("/jobs")
+        .send({ ...newJob, companyHandle: "nope" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.errors).toEqual([
+      { field: "companyHandle", rule: "exists", message: "does not exist" },
+    ]);
+  });
 });
 
 /************************************** GET /companies */
@@ -95,26 +133,44 @@ describe("GET /jobs", function () {
             { 
                 id: expect.any(Number),
                 title: 'Job1',
-                salary: 100000, 
+                salaryMin: 100000,
+                salaryMax: null,
+                payPeriod: "yearly",
                 equity: "0.01",
-                companyHandle: 'c1'
+                companyHandle: 'c1',
+                status: "open",
+                postedAt: expect.any(String),
+                closesAt: null,
+                publishAt: null
             },
             {
                 id: expect.any(Number), 
                 title: 'Job2', 
-                salary: 80000, 
+                salaryMin: 80000,
+                salaryMax: null,
+                payPeriod: "yearly",
                 equity: "0.02",
-                companyHandle: 'c3'
+                companyHandle: 'c3',
+                status: "open",
+                postedAt: expect.any(String),
+                closesAt: null,
+                publishAt: null
             },
             {
                 id: expect.any(Number), 
                 title: 'Job3', 
-                salary: 120000, 
+                salaryMin: 120000,
+                salaryMax: null,
+                payPeriod: "yearly",
                 equity: "0",
-                companyHandle: 'c3'
+                companyHandle: 'c3',
+                status: "open",
+                postedAt: expect.any(String),
+                closesAt: null,
+                publishAt: null
             }
           ],
-          
+      pagination: { total: 3, limit: 20, offset: null, next: null, prev: null },
     });
   });
 
@@ -127,16 +183,167 @@ describe("GET /jobs", function () {
             { 
               id: expect.any(Number),
               title: 'Job1',
-              salary: 100000, 
+              salaryMin: 100000,
+              salaryMax: null,
+              payPeriod: "yearly",
               equity: "0.01",
-              companyHandle: 'c1'
+              companyHandle: 'c1',
+              status: "open",
+              postedAt: expect.any(String),
+              closesAt: null,
+              publishAt: null
           }
           ],
+      pagination: { total: 1, limit: 20, offset: null, next: null, prev: null },
     });
   
   });
   
 
+  test("pages by offset", async function () {
+    const resp = await request(app).get("/jobs?limit=1&offset=1");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Job2"]);
+    expect(resp.body.pagination).toEqual({
+      total: 3,
+      limit: 1,
+      offset: 1,
+      next: "/jobs?limit=1&offset=2",
+      prev: "/jobs?limit=1&offset=0",
+    });
+  });
+
+  test("bad request with a cursor whose keys were edited", async function () {
+    const first = await request(app).get("/jobs?limit=1");
+    const cursor = new URL(first.body.pagination.next, "http://localhost").searchParams.get("cursor");
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    decoded.keys = decoded.keys.map(() => "abc");
+    const edited = Buffer.from(JSON.stringify(decoded)).toString("base64url");
+
+    const resp = await request(app).get(`/jobs?limit=1&cursor=${edited}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("Invalid cursor");
+  });
+
+  test("searches with q", async function () {
+    await db.query(`UPDATE jobs SET title = 'Data Analyst' WHERE id = 3`);
+    const resp = await request(app).get("/jobs?q=analysts");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Data Analyst"]);
+  });
+
+  test("filters by overlapping salary range", async function () {
+    const resp = await request(app).get("/jobs?minSalary=90000&maxSalary=110000");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Job1"]);
+  });
+
+  test("filters with zero salary bounds", async function () {
+    let resp = await request(app).get("/jobs?maxSalary=0");
+    expect(resp.body.jobs).toEqual([]);
+    resp = await request(app).get("/jobs?minSalary=100&maxSalary=0");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("minSalary cannot be greater than maxSalary");
+  });
+
+  test("filters by equity range", async function () {
+    const resp = await request(app).get("/jobs?minEquity=0.015");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Job2"]);
+  });
+
+  test("bad request with equity outside 0 to 1", async function () {
+    let resp = await request(app).get("/jobs?maxEquity=1.5");
+    expect(resp.statusCode).toEqual(400);
+    resp = await request(app).get("/jobs?minEquity=lots");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with minEquity above maxEquity", async function () {
+    const resp = await request(app).get("/jobs?minEquity=0.5&maxEquity=0.1");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("minEquity cannot be greater than maxEquity");
+  });
+
+  test("filters by company and includes company summaries", async function () {
+    const resp = await request(app).get("/jobs?minEmployees=3&include=company");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Job2", "Job3"]);
+    expect(resp.body.jobs[0].company).toEqual({
+      handle: "c3",
+      name: "C3",
+      numEmployees: 3,
+      logoUrl: "http://c3.img",
+    });
+    expect(resp.body.pagination.total).toEqual(2);
+  });
+
+  test("bad request with unknown filters", async function () {
+    const resp = await request(app).get("/jobs?salary=100000");
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toMatch(/^Unknown query parameter\(s\): salary; allowed: q, title, /);
+  });
+
+  test("bad request with a non-boolean hasEquity", async function () {
+    const resp = await request(app).get("/jobs?hasEquity=maybe");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with an unknown include", async function () {
+    const resp = await request(app).get("/jobs?include=applications");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with an unknown payPeriod", async function () {
+    const resp = await request(app).get("/jobs?payPeriod=weekly");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("sorts by the given fields", async function () {
+    const resp = await request(app).get("/jobs?sort=companyHandle,-salary");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Job1", "Job3", "Job2"]);
+  });
+
+  test("bad request with an unsortable field", async function () {
+    const resp = await request(app).get("/jobs?sort=status");
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("closed jobs are hidden", async function () {
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = 1`);
+    const resp = await request(app).get("/jobs");
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Job2", "Job3"]);
+  });
+
+  test("works: includeClosed for Admin users", async function () {
+    await db.query(`UPDATE jobs SET status = 'closed' WHERE id = 1`);
+    const resp = await request(app)
+        .get("/jobs?includeClosed=true")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Job1", "Job2", "Job3"]);
+  });
+
+  test("unauth: includeClosed for non-Admins", async function () {
+    const resp = await request(app)
+        .get("/jobs?includeClosed=true")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("works: includeDrafts for Admin users", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = 1`);
+    let resp = await request(app)
+        .get("/jobs?includeClosed=true")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Job2", "Job3"]);
+    resp = await request(app)
+        .get("/jobs?includeDrafts=true")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.jobs.map(j => j.title)).toEqual(["Job1", "Job2", "Job3"]);
+  });
+
+  test("unauth: includeDrafts for non-Admins", async function () {
+    const resp = await request(app)
+        .get("/jobs?includeDrafts=true")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
   test("fails: test next() handler", async function () {
     // there's no normal failure event which will cause this route to fail ---
     // thus making it hard to test that the error-handler works with it. This
@@ -164,9 +371,15 @@ describe("GET /jobs/:id", function () {
       job: {
         id: 1,
         title: 'Job1',
-        salary: 100000, 
+        salaryMin: 100000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0.01",
-        companyHandle: 'c1'
+        companyHandle: 'c1',
+        status: "open",
+        postedAt: expect.any(String),
+        closesAt: null,
+        publishAt: null
       },
     });
   });
@@ -175,11 +388,37 @@ describe("GET /jobs/:id", function () {
     const resp = await request(app).get(`/jobs/00000`);
     expect(resp.statusCode).toEqual(404);
   });
+
+  test("bad request for a non-integer id", async function () {
+    const resp = await request(app).get(`/jobs/nope`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.errors).toEqual([
+      { field: "id", rule: "type", message: "is not of a type(s) integer" },
+    ]);
+  });
 });
 
 /************************************** PATCH /jobs/:id */
 
 describe("PATCH /jobs/:id", function () {
+  test("works: closing a job", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/1`)
+        .send({ status: "closed" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.job.status).toEqual("closed");
+  });
+
+  test("bad request moving a job to draft or open", async function () {
+    for (const status of ["draft", "open"]) {
+      const resp = await request(app)
+          .patch(`/jobs/1`)
+          .send({ status })
+          .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
   test("works for Admin users", async function () {
     const resp = await request(app)
         .patch(`/jobs/1`)
@@ -191,13 +430,38 @@ describe("PATCH /jobs/:id", function () {
       job: {
         id: 1,
         title: 'Job1-updated',
-        salary: 100000, 
+        salaryMin: 100000,
+        salaryMax: null,
+        payPeriod: "yearly",
         equity: "0.01",
-        companyHandle: 'c1'
+        companyHandle: 'c1',
+        status: "open",
+        postedAt: expect.any(String),
+        closesAt: null,
+        publishAt: null
       },
     });
   });
 
+  test("works: salary range", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/1`)
+        .send({ salaryMin: 40, salaryMax: 55, payPeriod: "hourly" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.job).toEqual(expect.objectContaining({
+      salaryMin: 40, salaryMax: 55, payPeriod: "hourly",
+    }));
+  });
+
+  test("bad request if salaryMin would be above salaryMax", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/1`)
+        .send({ salaryMax: 50000 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+    expect(resp.body.error.message).toEqual("salaryMin cannot be greater than salaryMax");
+  });
+
   test("unauth for anon", async function () {
     const resp = await request(app)
         .patch(`/jobs/1`)
@@ -218,7 +482,8 @@ describe("PATCH /jobs/:id", function () {
     expect(resp.body).toEqual({
       "error": {
         "message": "Unauthorized",
-        "status": 401
+        "status": 401,
+        "code": "UNAUTHORIZED"
       }
     })
   })
@@ -283,3 +548,351 @@ describe("DELETE /jobs/:id", function () {
     expect(resp.statusCode).toEqual(404);
   });
 });
+
+/************************************** GET /jobs/:id/applications */
+
+describe("GET /jobs/:id/applications", function () {
+  test("works for Admin users", async function () {
+    const resp = await request(app)
+        .get(`/jobs/2/applications`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      applications: [
+        {
+          username: "u1",
+          firstName: "U1F",
+          lastName: "U1L",
+          email: "user1@user.com",
+          appliedAt: expect.any(String),
+          status: "applied",
+          coverLetter: null,
+          answers: null,
+          resumeVersion: null,
+        },
+      ],
+      pagination: { total: 1, limit: 20, offset: null, next: null, prev: null },
+    });
+  });
+
+  test("works: status filter", async function () {
+    const resp = await request(app)
+        .get(`/jobs/2/applications?status=hired`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({
+      applications: [],
+      pagination: { total: 0, limit: 20, offset: null, next: null, prev: null },
+    });
+  });
+
+  test("works: limit and offset", async function () {
+    const resp = await request(app)
+        .get(`/jobs/2/applications?limit=1&offset=0`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.applications.map(a => a.username)).toEqual(["u1"]);
+    expect(resp.body.pagination.next).toBeNull();
+  });
+
+  test("works: following the next link", async function () {
+    await db.query(`INSERT INTO applications (username, job_id) VALUES ('u2', 2)`);
+    const first = await request(app)
+        .get(`/jobs/2/applications?limit=1&status=applied`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(first.body.applications.map(a => a.username)).toEqual(["u1"]);
+    expect(first.body.pagination.total).toEqual(2);
+    expect(first.body.pagination.next).toMatch(/^\/jobs\/2\/applications\?status=applied&limit=1&cursor=/);
+
+    const second = await request(app)
+        .get(first.body.pagination.next)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(second.body.applications.map(a => a.username)).toEqual(["u2"]);
+    expect(second.body.pagination.next).toBeNull();
+  });
+
+  test("bad request with invalid sort", async function () {
+    const resp = await request(app)
+        .get(`/jobs/2/applications?sort=username`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid status", async function () {
+    const resp = await request(app)
+        .get(`/jobs/2/applications?status=nope`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with invalid limit or offset", async function () {
+    for (const query of ["limit=0", "limit=-1", "limit=lots", "limit=101", "offset=-1"]) {
+      const resp = await request(app)
+          .get(`/jobs/2/applications?${query}`)
+          .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(400);
+    }
+  });
+
+  test("bad request with unknown query parameters", async function () {
+    const resp = await request(app)
+        .get(`/jobs/2/applications?username=u1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-Admins", async function () {
+    const resp = await request(app)
+        .get(`/jobs/2/applications`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+        .get(`/jobs/0/applications`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /jobs/:id/questions */
+
+describe("POST /jobs/:id/questions", function () {
+  const newQuestion = {
+    text: "Years of Node experience?",
+    type: "number",
+    required: true,
+  };
+
+  test("ok for Admin users", async function () {
+    const resp = await request(app)
+        .post(`/jobs/2/questions`)
+        .send(newQuestion)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      question: {
+        id: expect.any(Number),
+        jobId: 2,
+        text: "Years of Node experience?",
+        type: "number",
+        choices: null,
+        required: true,
+        knockoutAnswer: null,
+      },
+    });
+  });
+
+  test("unauth for non-Admins", async function () {
+    const resp = await request(app)
+        .post(`/jobs/2/questions`)
+        .send(newQuestion)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request with invalid type", async function () {
+    const resp = await request(app)
+        .post(`/jobs/2/questions`)
+        .send({ ...newQuestion, type: "essay" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app)
+        .post(`/jobs/0/questions`)
+        .send(newQuestion)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** GET /jobs/:id/questions */
+
+describe("GET /jobs/:id/questions", function () {
+  test("works for anon, without knockout answers", async function () {
+    const resp = await request(app).get(`/jobs/1/questions`);
+    expect(resp.body).toEqual({
+      questions: [
+        {
+          id: 1,
+          jobId: 1,
+          text: "Are you authorized to work in the US?",
+          type: "boolean",
+          choices: null,
+          required: false,
+        },
+      ],
+    });
+  });
+
+  test("shows knockout answers to Admin users", async function () {
+    const resp = await request(app)
+        .get(`/jobs/1/questions`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.questions[0].knockoutAnswer).toEqual(false);
+  });
+
+  test("not found for no such job", async function () {
+    const resp = await request(app).get(`/jobs/0/questions`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("not found for a draft job, except for Admin users", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = 1`);
+    const resp = await request(app).get(`/jobs/1/questions`);
+    expect(resp.statusCode).toEqual(404);
+
+    const adminResp = await request(app)
+        .get(`/jobs/1/questions`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(adminResp.body.questions.length).toEqual(1);
+  });
+});
+
+/************************************** PATCH /jobs/:id/questions/:questionId */
+
+describe("PATCH /jobs/:id/questions/:questionId", function () {
+  test("works for Admin users", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/1/questions/1`)
+        .send({ required: true })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.question.required).toEqual(true);
+  });
+
+  test("unauth for non-Admins", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/1/questions/1`)
+        .send({ required: true })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request on invalid data", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/1/questions/1`)
+        .send({ jobId: 2 })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found for no such question", async function () {
+    const resp = await request(app)
+        .patch(`/jobs/2/questions/1`)
+        .send({ required: true })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /jobs/:id/questions/:questionId */
+
+describe("DELETE /jobs/:id/questions/:questionId", function () {
+  test("works for Admin users", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/1/questions/1`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ deleted: "1" });
+  });
+
+  test("unauth for non-Admins", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/1/questions/1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found for no such question", async function () {
+    const resp = await request(app)
+        .delete(`/jobs/1/questions/0`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** POST /jobs/:id/publish */
+
+describe("POST /jobs/:id/publish", function () {
+  test("works for Admin users", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = 1`);
+    const resp = await request(app)
+        .post(`/jobs/1/publish`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.job.status).toEqual("open");
+  });
+
+  test("works: scheduled", async function () {
+    await db.query(`UPDATE jobs SET status = 'draft' WHERE id = 1`);
+    const resp = await request(app)
+        .post(`/jobs/1/publish`)
+        .send({ publishAt: "2999-01-01T00:00:00Z" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.job.status).toEqual("draft");
+    expect(resp.body.job.publishAt).toEqual(expect.any(String));
+  });
+
+  test("works: reopening a closed job", async function () {
+    await request(app)
+        .patch(`/jobs/1`)
+        .send({ status: "closed" })
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .post(`/jobs/1/publish`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.job.status).toEqual("open");
+    const found = await request(app).get(`/jobs/1`);
+    expect(found.statusCode).toEqual(200);
+  });
+
+  test("bad request if already open", async function () {
+    const resp = await request(app)
+        .post(`/jobs/1/publish`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for non-Admins", async function () {
+    const resp = await request(app)
+        .post(`/jobs/1/publish`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** POST /jobs/:id/unpublish */
+
+describe("POST /jobs/:id/unpublish", function () {
+  test("works for Admin users", async function () {
+    const resp = await request(app)
+        .post(`/jobs/1/unpublish`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.job.status).toEqual("draft");
+  });
+
+  test("draft is hidden from non-Admins", async function () {
+    await request(app)
+        .post(`/jobs/1/unpublish`)
+        .set("authorization", `Bearer ${adminToken}`);
+    const listResp = await request(app).get("/jobs");
+    expect(listResp.body.jobs.map(j => j.id)).toEqual([2, 3]);
+    const getResp = await request(app)
+        .get("/jobs/1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(getResp.statusCode).toEqual(404);
+    const adminResp = await request(app)
+        .get("/jobs/1")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(adminResp.body.job.status).toEqual("draft");
+  });
+
+  test("unauth for non-Admins", async function () {
+    const resp = await request(app)
+        .post(`/jobs/1/unpublish`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
@@ -0,0 +1,42 @@
+"use strict";
+
+/** Routes for searching across companies and jobs. */
+
+const express = require("express");
+
+const { paginationFor } = require("../helpers/pagination");
+const { validate } = require("../middleware/validation");
+const Search = require("../models/search");
+
+const searchQuerySchema = require("../schemas/searchQuery.json");
+
+const router = new express.Router();
+
+
+/** GET /?q=  =>
+ *   { results: [ { type: "company", handle, name, snippet }
+ *                | { type: "job", id, title, companyHandle, snippet }, ...],
+ *     pagination: { total, limit, offset, next, prev } }
+ *
+ * Searches company names and descriptions and open job titles for q, most
+ * relevant results first. snippet shows the matching text, HTML-escaped,
+ * with matched words wrapped in <mark> tags.
+ *
+ * Paginated; see paginationFor in helpers/pagination.js.
+ *
+ * Authorization required: none
+ */
+
+router.get("/", validate(searchQuerySchema, { source: "query" }), async function (req, res, next) {
+  try {
+    const { q, limit, offset, cursor } = req.query;
+
+    const { results, page } = await Search.find(q, { limit, offset, cursor });
+    return res.json({ results, pagination: paginationFor(req, page) });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+module.exports = router;
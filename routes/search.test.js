@@ -0,0 +1,52 @@
+"use strict";
+
+const request = require("supertest");
+
+const db = require("../db");
+const app = require("../app");
+
+const {
+  commonBeforeAll,
+  commonBeforeEach,
+  commonAfterEach,
+  commonAfterAll,
+} = require("./_testCommon");
+
+beforeAll(commonBeforeAll);
+beforeEach(commonBeforeEach);
+afterEach(commonAfterEach);
+afterAll(commonAfterAll);
+
+/************************************** GET /search */
+
+describe("GET /search", function () {
+  test("works for anon", async function () {
+    await db.query(`UPDATE companies SET description = 'Makes coffee machines' WHERE handle = 'c1'`);
+    await db.query(`UPDATE jobs SET title = 'Coffee Roaster' WHERE title = 'Job3'`);
+    const resp = await request(app).get("/search?q=coffee");
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      results: [
+        {
+          type: "job",
+          id: expect.any(Number),
+          title: "Coffee Roaster",
+          companyHandle: "c3",
+          snippet: "<mark>Coffee</mark> Roaster",
+        },
+        {
+          type: "company",
+          handle: "c1",
+          name: "C1",
+          snippet: "C1: Makes <mark>coffee</mark> machines",
+        },
+      ],
+      pagination: { total: 2, limit: 20, offset: null, next: null, prev: null },
+    });
+  });
+
+  test("bad request without q", async function () {
+    const resp = await request(app).get("/search");
+    expect(resp.statusCode).toEqual(400);
+  });
+});
@@ -2,18 +2,31 @@
 
 /** Routes for users. */
 
-const jsonschema = require("jsonschema");
-
 const express = require("express");
-const { ensureLoggedIn, isAdmin } = require("../middleware/auth");
-const { BadRequestError, UnauthorizedError, NotFoundError } = require("../expressError");
+const db = require("../db");
+const { ensureLoggedIn, isAdmin, ensureCorrectUserOrAdmin } = require("../middleware/auth");
+const { uploadResume } = require("../middleware/upload");
+const { validate } = require("../middleware/validation");
+const { UnauthorizedError, NotFoundError, ForbiddenError } = require("../expressError");
 const User = require("../models/user");
+const Resume = require("../models/resume");
+const EmailVerification = require("../models/emailVerification");
 const { createToken } = require("../helpers/tokens");
+const { paginationFor } = require("../helpers/pagination");
 const userNewSchema = require("../schemas/userNew.json");
 const userUpdateSchema = require("../schemas/userUpdate.json");
+const userListSchema = require("../schemas/userList.json");
+const resumeQuerySchema = require("../schemas/resumeQuery.json");
+const applicationNewSchema = require("../schemas/applicationNew.json");
+const applicationStatusUpdateSchema = require("../schemas/applicationStatusUpdate.json");
+const applicationWithdrawSchema = require("../schemas/applicationWithdraw.json");
+const applicationParamsSchema = require("../schemas/applicationParams.json");
 
 const router = express.Router();
 
+/** Job ids in application paths must be integers; they arrive as numbers. */
+const validateApplicationParams = validate(applicationParamsSchema, { source: "params" });
+
 
 /** POST / { user }  => { user, token }
  *
@@ -24,18 +37,19 @@ const router = express.Router();
  * This returns the newly created user and an authentication token for them:
  *  {user: { username, firstName, lastName, email, isAdmin }, token }
  *
+ * The new user is sent an email to verify their address.
+ *
  * Authorization required: login, isAdmin
  **/
 
-router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
+router.post("/", ensureLoggedIn, isAdmin, validate(userNewSchema), async function (req, res, next) {
   try {
-    const validator = jsonschema.validate(req.body, userNewSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
-
-    const user = await User.register(req.body);
+    // the user is only added if their verification email could be queued
+    const user = await db.withTransaction(async () => {
+      const newUser = await User.register(req.body);
+      await EmailVerification.send(newUser.username);
+      return newUser;
+    });
     const token = createToken(user);
     return res.status(201).json({ user, token });
   } catch (err) {
@@ -45,55 +59,123 @@ router.post("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
 
 
 /**
- * POST / {user, jobid} => 
+ * POST /[username]/jobs/[id] { coverLetter, answers } =>
  * Apply for a Job
  *
  * This endpoint allows a user to apply for a job by using the username and job id as the parameters
  *
+ * The body is optional and can include a cover letter and answers to the job's
+ * screening questions: { coverLetter, answers: [{ questionId, answer }, ...] }
+ *
  * This returns the job details for them:
- *  {applied: { jobDetails : {id, title, salary, equity, company_handle} } }
+ *  {applied: { jobDetails : {id, title, salaryMin, salaryMax, payPeriod, equity, company_handle} } }
  *
  * Authorization required: login, user must be the user applying or isAdmin
  **/
 
-router.post("/:username/jobs/:id", ensureLoggedIn, async function (req, res, next) {
+router.post("/:username/jobs/:id", ensureLoggedIn, validateApplicationParams, validate(applicationNewSchema), async function (req, res, next) {
   try {
     const {username, id} = req.params;
-    if (res.locals.user.isAdmin || res.locals.user.username === req.params.username) {
-      
-      const {appliedJobDetails} = await User.apply(username, id);
-
-      if (appliedJobDetails) {
-        return res.status(201).json({
-            applied: {
-                appliedJobDetails,
-            },
-        });
-    }else {
-        return res.status(404).json({ error: "Job not found or could not be applied" });
-      }
-  }else {
-    return res.status(403).json({ error: "Unauthorized to apply for this job" });
+    if (!(res.locals.user.isAdmin || res.locals.user.username === username)) {
+      throw new ForbiddenError("Unauthorized to apply for this job");
+    }
+    const {appliedJobDetails} = await User.apply(
+        username, id, req.body, res.locals.user.username);
+    if (!appliedJobDetails) throw new NotFoundError("Job not found or could not be applied");
+
+    return res.status(201).json({
+        applied: {
+            appliedJobDetails,
+        },
+    });
+  } catch (err) {
+    return next(err);
   }
+});
+
+/** GET /[username]/jobs/[id]/history => { history }
+ *
+ * Returns the timeline of a user's application for a job, oldest first:
+ *  { history: [{ id, event, fromStatus, toStatus, changedBy, note, createdAt }, ...] }
+ *
+ * Authorization required: login, user must be the applicant or isAdmin
+ **/
+
+router.get("/:username/jobs/:id/history", ensureLoggedIn, validateApplicationParams, async function (req, res, next) {
+  try {
+    const { username, id } = req.params;
+    if (!(res.locals.user.isAdmin || res.locals.user.username === username)) {
+      throw new ForbiddenError("Unauthorized to view this application");
+    }
+    const history = await User.getApplicationHistory(username, id);
+    return res.json({ history });
   } catch (err) {
-    if (err instanceof UnauthorizedError) {
-      return res.status(401).json({ error: err.message });
+    return next(err);
+  }
+});
+
+/** DELETE /[username]/jobs/[id] { reason } => { withdrawn }
+ *
+ * Withdraws a user's application for a job. The application is kept and marked
+ * as withdrawn, with an optional reason; the user can apply to the job again
+ * once the cooldown period has passed.
+ *
+ * Returns { withdrawn: { username, jobId, status, withdrawnAt, withdrawalReason } }
+ *
+ * Authorization required: login, user must be the applicant or isAdmin
+ **/
+
+router.delete("/:username/jobs/:id", ensureLoggedIn, validateApplicationParams, validate(applicationWithdrawSchema), async function (req, res, next) {
+  try {
+    const { username, id } = req.params;
+    if (!(res.locals.user.isAdmin || res.locals.user.username === username)) {
+      throw new ForbiddenError("Unauthorized to withdraw this application");
     }
+    const withdrawn = await User.withdraw(
+        username, id, req.body.reason, res.locals.user.username);
+    return res.json({ withdrawn });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+/** PATCH /[username]/jobs/[id] { status } => { application }
+ *
+ * Moves a user's application for a job to a new status. Only forward moves
+ * through applied -> screening -> interviewing -> offered -> hired, or to
+ * rejected / withdrawn, are allowed.
+ *
+ * Returns { application: { username, jobId, status } }
+ *
+ * Authorization required: login, isAdmin
+ **/
+
+router.patch("/:username/jobs/:id", ensureLoggedIn, isAdmin, validateApplicationParams, validate(applicationStatusUpdateSchema), async function (req, res, next) {
+  try {
+    const application = await User.updateApplicationStatus(
+        req.params.username, req.params.id, req.body.status, res.locals.user.username);
+    return res.json({ application });
+  } catch (err) {
     return next(err);
   }
 });
 
-/** GET / => { users: [ {username, firstName, lastName, email }, ... ] }
+/** GET / => { users: [ {username, firstName, lastName, email }, ... ], pagination }
  *
  * Returns list of all users. Can only be requested by an admin.
  *
+ * Paginated; see paginationFor in helpers/pagination.js.
+ *
+ *   pagination is { total, limit, offset, next, prev }
+ *
  * Authorization required: login, isAdmin
  **/
 
-router.get("/", ensureLoggedIn, isAdmin, async function (req, res, next) {
+router.get("/", ensureLoggedIn, isAdmin, validate(userListSchema, { source: "query" }), async function (req, res, next) {
   try {
-    const users = await User.findAll();
-    return res.json({ users });
+    const { limit, offset, cursor } = req.query;
+    const { users, page } = await User.findAll({ limit, offset, cursor });
+    return res.json({ users, pagination: paginationFor(req, page) });
   } catch (err) {
     return next(err);
   }
@@ -118,10 +200,51 @@ router.get("/:username", ensureLoggedIn, async function (req, res, next) {
       throw new UnauthorizedError("You are not authorized to view this profile");
     }
   } catch (err) {
-    // Check if the error is an UnauthorizedError
-    if (err instanceof UnauthorizedError) {
-      return res.status(401).json({ error: err.message });
-    }
+    return next(err);
+  }
+});
+
+
+/** PUT /[username]/resume (multipart, file in "resume" field) => { resume }
+ *
+ * Uploads a new version of the user's résumé. Must be a PDF or DOCX file, no
+ * bigger than RESUME_MAX_BYTES. Earlier versions are kept, since applications
+ * point at the version that was submitted.
+ *
+ * Returns { username, version, filename, mimeType, size, uploadedAt }
+ *
+ * Authorization required: login, isAdmin and/ or current user logged in === :username
+ **/
+
+router.put("/:username/resume", ensureCorrectUserOrAdmin, uploadResume, async function (req, res, next) {
+  try {
+    const resume = await Resume.upload(req.params.username, {
+      filename: req.file.originalname,
+      mimeType: req.file.mimetype,
+      data: req.file.buffer,
+    });
+    return res.status(201).json({ resume });
+  } catch (err) {
+    return next(err);
+  }
+});
+
+
+/** GET /[username]/resume[?version=N] => résumé file
+ *
+ * Downloads the user's latest résumé, or a given version of it.
+ *
+ * Authorization required: login, isAdmin and/ or current user logged in === :username
+ **/
+
+router.get("/:username/resume", ensureCorrectUserOrAdmin,
+    validate(resumeQuerySchema, { source: "query" }), async function (req, res, next) {
+  try {
+    const resume = await Resume.get(req.params.username, req.query.version);
+    res.attachment(resume.filename);
+    res.type(resume.mimeType);
+    return res.send(resume.data);
+  } catch (err) {
     return next(err);
   }
 });
@@ -134,31 +257,49 @@ router.get("/:username", ensureLoggedIn, async function (req, res, next) {
  * Data can include:
  *   { firstName, lastName, password, email }
  *
+ * A new email address has to be verified again; a verification email is sent
+ * to it.
+ *
  * Returns { username, firstName, lastName, email, isAdmin }
  *
  * Authorization required: login, isAdmin and/ or current user logged in === :username
  **/
 
-router.patch("/:username", ensureLoggedIn, async function (req, res, next) {
+router.patch("/:username", ensureLoggedIn, validate(userUpdateSchema), async function (req, res, next) {
   
   try {
    
-    const validator = jsonschema.validate(req.body, userUpdateSchema);
-    if (!validator.valid) {
-      const errs = validator.errors.map(e => e.stack);
-      throw new BadRequestError(errs);
-    }
     if (res.locals.user.isAdmin || res.locals.user.username === req.params.username) {
-      const user = await User.update(req.params.username, req.body);
+      const user = await db.withTransaction(async () => {
+        const updated = await User.update(req.params.username, req.body);
+        // a new address has to be verified; sends nothing if it didn't change
+        if (req.body.email !== undefined) await EmailVerification.send(updated.username);
+        return updated;
+      });
       return res.json({ user });
     }else {
       throw new UnauthorizedError("You are not authorized to edit this profile");
     }
 
   } catch (err) {
-    if (err instanceof UnauthorizedError) {
-      return res.status(401).json({ error: err.message });
-    }
+    return next(err);
+  }
+});
+
+
+/** POST /[username]/sign-out-everywhere  =>  { signedOut: username }
+ *
+ * Signs a user out of every session: all the access and refresh tokens they
+ * hold stop working, and they have to log in again.
+ *
+ * Authorization required: login, isAdmin
+ **/
+
+router.post("/:username/sign-out-everywhere", ensureLoggedIn, isAdmin, async function (req, res, next) {
+  try {
+    await User.signOutEverywhere(req.params.username);
+    return res.json({ signedOut: req.params.username });
+  } catch (err) {
     return next(err);
   }
 });
@@ -180,9 +321,6 @@ router.delete("/:username", ensureLoggedIn, async function (req, res, next) {
         throw new UnauthorizedError("You are not authorized to delete this profile");
       }
   } catch (err) {
-    if (err instanceof UnauthorizedError) {
-      return res.status(401).json({ error: err.message });
-    }
     return next(err);
   }
 });
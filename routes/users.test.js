@@ -5,6 +5,8 @@ const request = require("supertest");
 const db = require("../db.js");
 const app = require("../app");
 const User = require("../models/user");
+const EmailOutbox = require("../models/emailOutbox");
+const EmailVerification = require("../models/emailVerification");
 
 const {
   commonBeforeAll,
@@ -48,6 +50,47 @@ describe("POST /users", function () {
     });
   });
 
+  test("conflict with a taken username", async function () {
+    const resp = await request(app)
+        .post("/users")
+        .send({
+          username: "u1",
+          firstName: "First-new",
+          lastName: "Last-newL",
+          password: "password-new",
+          email: "new@email.com",
+          isAdmin: false,
+        })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(409);
+    expect(resp.body.error).toEqual(expect.objectContaining({
+      message: "Duplicate username: u1",
+      code: "CONFLICT",
+      key: { username: "u1" },
+    }));
+  });
+
+  test("adds no user if the verification email can't be queued", async function () {
+    const send = jest.spyOn(EmailVerification, "send").mockRejectedValue(new Error("oops"));
+    try {
+      const resp = await request(app)
+          .post("/users")
+          .send({
+            username: "u-new",
+            firstName: "First-new",
+            lastName: "Last-newL",
+            password: "password-new",
+            email: "new@email.com",
+            isAdmin: false,
+          })
+          .set("authorization", `Bearer ${adminToken}`);
+      expect(resp.statusCode).toEqual(500);
+    } finally {
+      send.mockRestore();
+    }
+    await expect(User.get("u-new")).rejects.toThrow("No user: u-new");
+  });
+
   test("works for only Admin users: create admin", async function () {
     const resp = await request(app)
         .post("/users")
@@ -158,6 +201,21 @@ describe("GET /users", function () {
           isAdmin: false,
         },
       ],
+      pagination: { total: 3, limit: 20, offset: null, next: null, prev: null },
+    });
+  });
+
+  test("pages through users", async function () {
+    const resp = await request(app)
+        .get("/users?limit=2&offset=1")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body.users.map(u => u.username)).toEqual(["u2", "u3"]);
+    expect(resp.body.pagination).toEqual({
+      total: 3,
+      limit: 2,
+      offset: 1,
+      next: null,
+      prev: "/users?limit=2&offset=0",
     });
   });
 
@@ -200,7 +258,8 @@ describe("GET /users/:username", function () {
         firstName: "U1F",
         lastName: "U1L",
         email: "user1@user.com",
-        isAdmin: false
+        isAdmin: false,
+        emailVerified: false
       },
         applied_jobs: {
           jobs: expect.any(Array)
@@ -220,7 +279,8 @@ describe("GET /users/:username", function () {
           firstName: "U1F",
           lastName: "U1L",
           email: "user1@user.com",
-          isAdmin: false
+          isAdmin: false,
+          emailVerified: false
         },
           applied_jobs: {
             jobs: expect.any(Array)
@@ -235,6 +295,18 @@ describe("GET /users/:username", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error).toEqual({
+      message: "You are not authorized to view this profile",
+      status: 401,
+      code: "UNAUTHORIZED",
+    });
+  });
+
   test("not found if user not found", async function () {
     const resp = await request(app)
         .get(`/users/nope`)
@@ -264,6 +336,30 @@ describe("PATCH /users/:username", () => {
     });
   });
 
+  test("a new email address is sent a verification email", async function () {
+    await request(app)
+        .patch(`/users/u1`)
+        .send({ email: "changed@user.com" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const emails = await EmailOutbox.pending();
+    expect(emails.map(e => e.to)).toEqual(["changed@user.com"]);
+  });
+
+  test("keeps the old email address if the verification email can't be queued", async function () {
+    const send = jest.spyOn(EmailVerification, "send").mockRejectedValue(new Error("oops"));
+    try {
+      const resp = await request(app)
+          .patch(`/users/u1`)
+          .send({ email: "changed@user.com" })
+          .set("authorization", `Bearer ${u1Token}`);
+      expect(resp.statusCode).toEqual(500);
+    } finally {
+      send.mockRestore();
+    }
+    const found = await db.query("SELECT email FROM users WHERE username = 'u1'");
+    expect(found.rows[0].email).toEqual("user1@user.com");
+  });
+
   test("works for Admin user", async function () {
     const resp = await request(app)
         .patch(`/users/u1`)
@@ -291,6 +387,15 @@ describe("PATCH /users/:username", () => {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .patch(`/users/u1`)
+        .send({ firstName: "New" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.code).toEqual("UNAUTHORIZED");
+  });
+
   test("not found if no such user", async function () {
     const resp = await request(app)
         .patch(`/users/nope`)
@@ -332,6 +437,43 @@ describe("PATCH /users/:username", () => {
   });
 });
 
+/************************************** POST /users/:username/sign-out-everywhere */
+
+describe("POST /users/:username/sign-out-everywhere", function () {
+  test("works for admin", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/sign-out-everywhere`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.body).toEqual({ signedOut: "u1" });
+
+    // u1's existing token no longer works
+    const after = await request(app)
+        .get(`/users/u1`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(after.statusCode).toEqual(401);
+  });
+
+  test("unauth for the user themselves", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/sign-out-everywhere`)
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .post(`/users/u1/sign-out-everywhere`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if user missing", async function () {
+    const resp = await request(app)
+        .post(`/users/nope/sign-out-everywhere`)
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
 /************************************** DELETE /users/:username */
 
 describe("DELETE /users/:username", function () {
@@ -355,6 +497,14 @@ describe("DELETE /users/:username", function () {
     expect(resp.statusCode).toEqual(401);
   });
 
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .delete(`/users/u1`)
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+    expect(resp.body.error.code).toEqual("UNAUTHORIZED");
+  });
+
   test("not found if user missing", async function () {
     const resp = await request(app)
         .delete(`/users/nope`)
@@ -370,8 +520,8 @@ describe("POST /users/:username/jobs/:id", function () {
     const resp = await request(app)
         .post("/users/u1/jobs/1")
         .send({
-          username: "u1",
-          jobId: 1,
+          coverLetter: "I would love to work here.",
+          answers: [{ questionId: 1, answer: true }],
         })
         .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(201);
@@ -380,7 +530,9 @@ describe("POST /users/:username/jobs/:id", function () {
         appliedJobDetails: {
           id: 1,
           title: "Job1",
-          salary: 100000,
+          salaryMin: 100000,
+          salaryMax: null,
+          payPeriod: "yearly",
           equity: "0.01", 
           company_handle: "c1"
         }
@@ -390,10 +542,6 @@ describe("POST /users/:username/jobs/:id", function () {
   test("successfully applies for a job as logged-in user", async function () {
     const resp = await request(app)
         .post("/users/u1/jobs/1")
-        .send({
-          username: "u1",
-          jobId: 1,
-        })
         .set("authorization", `Bearer ${u1Token}`);
     expect(resp.statusCode).toEqual(201);
     expect(resp.body).toEqual({
@@ -401,7 +549,9 @@ describe("POST /users/:username/jobs/:id", function () {
         appliedJobDetails: {
           id: 1,
           title: "Job1",
-          salary: 100000,
+          salaryMin: 100000,
+          salaryMax: null,
+          payPeriod: "yearly",
           equity: "0.01", 
           company_handle: "c1"
         }
@@ -409,39 +559,65 @@ describe("POST /users/:username/jobs/:id", function () {
     })
   });
 
+  test("cover letter shows up for the applicant", async function () {
+    await request(app)
+        .post("/users/u1/jobs/1")
+        .send({ coverLetter: "Dear C1" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .get("/users/u1")
+        .set("authorization", `Bearer ${u1Token}`);
+    const job = resp.body.user.applied_jobs.jobs.find(j => j.id === 1);
+    expect(job.coverLetter).toEqual("Dear C1");
+    expect(job.answers).toEqual(null);
+  });
+
+  test("bad request if invalid data", async function () {
+    const resp = await request(app)
+        .post("/users/u1/jobs/1")
+        .send({ coverLetter: 42 })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("conflict if already applied", async function () {
+    await request(app)
+        .post("/users/u1/jobs/1")
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .post("/users/u1/jobs/1")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(409);
+    expect(resp.body.error.key).toEqual({ username: "u1", jobId: 1 });
+  });
+
   test("does not work for non admin or non logged-in user", async function () {
     const resp = await request(app)
         .post("/users/u1/jobs/1")
-        .send({
-          username: "u1",
-          jobId: 1,
-        })
         .set("authorization", `Bearer ${u3Token}`);
     expect(resp.statusCode).toEqual(403);
+    expect(resp.body.error).toEqual({
+      message: "Unauthorized to apply for this job",
+      status: 403,
+      code: "FORBIDDEN",
+    });
   });
   test("does not work for anon", async function () {
     const resp = await request(app)
         .post("/users/u1/jobs/1")
-        .send({
-          username: "u1",
-          jobId: 1,
-        })
     expect(resp.statusCode).toEqual(401);
   });
 
 test("error: username not found", async function () {
   const resp = await request(app)
         .post("/users/fake/jobs/1")
-        .send({
-          username: "fake",
-          jobId: 1,
-        })
         .set("authorization", `Bearer ${adminToken}`);
   expect(resp.statusCode).toEqual(404);
   expect(resp.body).toEqual({
       error: {
         message: "No user found with username: fake",
-        status: 404
+        status: 404,
+        code: "NOT_FOUND"
       }
   })
   });
@@ -449,18 +625,284 @@ test("error: username not found", async function () {
   test("error: job not found", async function () {
     const resp = await request(app)
           .post("/users/u1/jobs/9999")
-          .send({
-            username: "u1",
-            jobId: 9999,
-          })
           .set("authorization", `Bearer ${adminToken}`);
     expect(resp.statusCode).toEqual(404);
     expect(resp.body).toEqual({
         error: {
           message: "No job found with id: 9999",
-          status: 404
+          status: 404,
+          code: "NOT_FOUND"
         }
     })
     });
 });
 
+/************************************** PATCH /users/:username/jobs/:id */
+
+describe("PATCH /users/:username/jobs/:id", function () {
+  test("works for Admin users", async function () {
+    const resp = await request(app)
+        .patch("/users/u1/jobs/2")
+        .send({ status: "screening" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      application: { username: "u1", jobId: 2, status: "screening" },
+    });
+  });
+
+  test("unauth for non-admin", async function () {
+    const resp = await request(app)
+        .patch("/users/u1/jobs/2")
+        .send({ status: "screening" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("bad request on illegal transition", async function () {
+    const resp = await request(app)
+        .patch("/users/u1/jobs/2")
+        .send({ status: "offered" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request on unknown status", async function () {
+    const resp = await request(app)
+        .patch("/users/u1/jobs/2")
+        .send({ status: "ghosted" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("not found if no such application", async function () {
+    const resp = await request(app)
+        .patch("/users/u3/jobs/2")
+        .send({ status: "screening" })
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** DELETE /users/:username/jobs/:id */
+
+describe("DELETE /users/:username/jobs/:id", function () {
+  test("works for logged-in user", async function () {
+    const resp = await request(app)
+        .delete("/users/u1/jobs/2")
+        .send({ reason: "Took another offer" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      withdrawn: {
+        username: "u1",
+        jobId: 2,
+        status: "withdrawn",
+        withdrawnAt: expect.any(String),
+        withdrawalReason: "Took another offer",
+      },
+    });
+  });
+
+  test("works for Admin users without a reason", async function () {
+    const resp = await request(app)
+        .delete("/users/u1/jobs/2")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body.withdrawn.withdrawalReason).toEqual(null);
+  });
+
+  test("re-applying is blocked during the cooldown", async function () {
+    await request(app)
+        .delete("/users/u1/jobs/2")
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .post("/users/u1/jobs/2")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("does not work for other users", async function () {
+    const resp = await request(app)
+        .delete("/users/u1/jobs/2")
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+    expect(resp.body.error).toEqual({
+      message: "Unauthorized to withdraw this application",
+      status: 403,
+      code: "FORBIDDEN",
+    });
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .delete("/users/u1/jobs/2");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such application", async function () {
+    const resp = await request(app)
+        .delete("/users/u3/jobs/2")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request if invalid data", async function () {
+    const resp = await request(app)
+        .delete("/users/u1/jobs/2")
+        .send({ reason: 42 })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+});
+
+/************************************** GET /users/:username/jobs/:id/history */
+
+describe("GET /users/:username/jobs/:id/history", function () {
+  test("works for logged-in user", async function () {
+    await request(app)
+        .patch("/users/u1/jobs/2")
+        .send({ status: "screening" })
+        .set("authorization", `Bearer ${adminToken}`);
+    const resp = await request(app)
+        .get("/users/u1/jobs/2/history")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.body).toEqual({
+      history: [
+        {
+          id: expect.any(Number),
+          event: "applied",
+          fromStatus: null,
+          toStatus: "applied",
+          changedBy: "u1",
+          note: null,
+          createdAt: expect.any(String),
+        },
+        {
+          id: expect.any(Number),
+          event: "status_changed",
+          fromStatus: "applied",
+          toStatus: "screening",
+          changedBy: "u2",
+          note: null,
+          createdAt: expect.any(String),
+        },
+      ],
+    });
+  });
+
+  test("does not work for other users", async function () {
+    const resp = await request(app)
+        .get("/users/u1/jobs/2/history")
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(403);
+    expect(resp.body.error.code).toEqual("FORBIDDEN");
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .get("/users/u1/jobs/2/history");
+    expect(resp.statusCode).toEqual(401);
+  });
+
+  test("not found if no such application", async function () {
+    const resp = await request(app)
+        .get("/users/u3/jobs/2/history")
+        .set("authorization", `Bearer ${adminToken}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+});
+
+/************************************** PUT /users/:username/resume */
+
+describe("PUT /users/:username/resume", function () {
+  test("works for logged-in user", async function () {
+    const resp = await request(app)
+        .put("/users/u1/resume")
+        .attach("resume", Buffer.from("%PDF-1.4 my resume"),
+            { filename: "cv.pdf", contentType: "application/pdf" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(201);
+    expect(resp.body).toEqual({
+      resume: {
+        username: "u1",
+        version: 1,
+        filename: "cv.pdf",
+        mimeType: "application/pdf",
+        size: 18,
+        uploadedAt: expect.any(String),
+      },
+    });
+  });
+
+  test("bad request with unsupported type", async function () {
+    const resp = await request(app)
+        .put("/users/u1/resume")
+        .attach("resume", Buffer.from("hello"),
+            { filename: "cv.txt", contentType: "text/plain" })
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("bad request with no file", async function () {
+    const resp = await request(app)
+        .put("/users/u1/resume")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for other users", async function () {
+    const resp = await request(app)
+        .put("/users/u1/resume")
+        .attach("resume", Buffer.from("%PDF-1.4"),
+            { filename: "cv.pdf", contentType: "application/pdf" })
+        .set("authorization", `Bearer ${u3Token}`);
+    expect(resp.statusCode).toEqual(401);
+  });
+});
+
+/************************************** GET /users/:username/resume */
+
+describe("GET /users/:username/resume", function () {
+  test("works for Admin users", async function () {
+    await request(app)
+        .put("/users/u1/resume")
+        .attach("resume", Buffer.from("%PDF-1.4 my resume"),
+            { filename: "cv.pdf", contentType: "application/pdf" })
+        .set("authorization", `Bearer ${u1Token}`);
+    const resp = await request(app)
+        .get("/users/u1/resume")
+        .set("authorization", `Bearer ${adminToken}`)
+        .buffer(true)
+        .parse((res, callback) => {
+          const chunks = [];
+          res.on("data", chunk => chunks.push(chunk));
+          res.on("end", () => callback(null, Buffer.concat(chunks)));
+        });
+    expect(resp.statusCode).toEqual(200);
+    expect(resp.headers["content-type"]).toEqual("application/pdf");
+    expect(resp.headers["content-disposition"]).toEqual('attachment; filename="cv.pdf"');
+    expect(resp.body.toString()).toEqual("%PDF-1.4 my resume");
+  });
+
+  test("not found if no résumé", async function () {
+    const resp = await request(app)
+        .get("/users/u1/resume")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(404);
+  });
+
+  test("bad request with invalid version", async function () {
+    const resp = await request(app)
+        .get("/users/u1/resume?version=abc")
+        .set("authorization", `Bearer ${u1Token}`);
+    expect(resp.statusCode).toEqual(400);
+  });
+
+  test("unauth for anon", async function () {
+    const resp = await request(app)
+        .get("/users/u1/resume");
+    expect(resp.statusCode).toEqual(401);
+  });
+});
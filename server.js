@@ -1,8 +1,24 @@
 "use strict";
 
 const app = require("./app");
-const { PORT } = require("./config");
+const EmailOutbox = require("./models/emailOutbox");
+const Job = require("./models/job");
+const { PORT, MAIL_POLL_SECONDS, JOB_PUBLISH_POLL_SECONDS } = require("./config");
 
 app.listen(PORT, function () {
   console.log(`Started on http://localhost:${PORT}`);
 });
+
+// send emails queued by requests
+setInterval(function () {
+  EmailOutbox.deliverPending().catch(function (err) {
+    console.error("Could not deliver email:", err.message);
+  });
+}, MAIL_POLL_SECONDS * 1000);
+
+// open draft jobs whose scheduled publish time has come
+setInterval(function () {
+  Job.publishDue().catch(function (err) {
+    console.error("Could not publish scheduled jobs:", err.message);
+  });
+}, JOB_PUBLISH_POLL_SECONDS * 1000);